@@ -0,0 +1,116 @@
+import {tiny} from './common.js';
+// Pull these names into this module's scope for convenience:
+const {vec3} = tiny;
+
+export class Spatial_Hash {
+    // **Spatial_Hash** is a broad phase for collision detection.  Testing every body against every
+    // other body with an exact (narrow-phase) collider costs O(n^2) expensive checks per step.  Instead,
+    // each body's axis-aligned bounding box is binned into the cells of a uniform grid, keyed by a hash of
+    // the cell's integer coordinates.  Only bodies that share a cell AND whose boxes overlap come back as
+    // candidate pairs, so far-apart bodies never reach the narrow phase at all.
+    // Usage:  Call clear() once per simulation step, insert() each body, then loop over candidate_pairs().
+    // Pick cell_size near the size of a typical body.  Set padding above 1 when the narrow phase reaches
+    // past a body's drawn extent (for instance a collider with leeway), so that no real contact is missed.
+    // A few huge bodies (a floor, a pillar) would fill thousands of cells, so any body spanning more than
+    // max_cells skips the grid and is simply box-tested against everything else instead.
+    constructor(cell_size = 10, padding = 1.5, max_cells = 64) {
+        Object.assign(this, {cell_size, padding, max_cells, cells: new Map(), boxes: new Map(), oversized: []});
+    }
+
+    static bounding_box(matrix, local_bounds = {center: vec3(0, 0, 0), extent: vec3(1, 1, 1)}, padding = 1) {
+        // bounding_box(): The world-space axis-aligned box {min, max} enclosing an object-space
+        // box (by default the unit cube, which holds all our basic shapes) placed by matrix.
+        // Bodies whose collision volume doesn't fit in [-1,1]^3 can store their own box
+        // {center, extent} as "local_bounds" so that the broad phase sees their true size.
+        const {center, extent} = local_bounds,
+            world_center = matrix.times(center.to4(1)).to3(),
+            // Each world axis is stretched by the absolute values of the matrix row's entries:
+            world_extent = vec3(...[0, 1, 2].map(i =>
+                padding * (Math.abs(matrix[i][0]) * extent[0] + Math.abs(matrix[i][1]) * extent[1]
+                    + Math.abs(matrix[i][2]) * extent[2])));
+        return {min: world_center.minus(world_extent), max: world_center.plus(world_extent)};
+    }
+
+    static boxes_overlap(a, b) {
+        return [0, 1, 2].every(i => a.min[i] <= b.max[i] && b.min[i] <= a.max[i]);
+    }
+
+    clear() {
+        // clear(): Forget every body.  Bodies move each step, so re-insert them all afterwards.
+        this.cells.clear();
+        this.boxes.clear();
+        this.oversized = [];
+    }
+
+    cell_range(box) {
+        // cell_range(): The inclusive range of integer grid coordinates that a box touches.
+        return {
+            low: box.min.map(x => Math.floor(x / this.cell_size)),
+            high: box.max.map(x => Math.floor(x / this.cell_size))
+        };
+    }
+
+    for_each_cell(box, callback) {
+        // (Internal helper function)  Visit the key of every grid cell that a box overlaps.
+        const {low, high} = this.cell_range(box);
+        for (let i = low[0]; i <= high[0]; i++)
+            for (let j = low[1]; j <= high[1]; j++)
+                for (let k = low[2]; k <= high[2]; k++)
+                    callback(i + "," + j + "," + k);
+    }
+
+    insert(body, box = Spatial_Hash.bounding_box(body.drawn_location, body.local_bounds, this.padding)) {
+        // insert(): Register a body for this step, binning its bounding box into every cell it touches.
+        this.boxes.set(body, box);
+        const {low, high} = this.cell_range(box);
+        if ((high[0] - low[0] + 1) * (high[1] - low[1] + 1) * (high[2] - low[2] + 1) > this.max_cells) {
+            this.oversized.push(body);
+            return;
+        }
+        this.for_each_cell(box, key => {
+            if (!this.cells.has(key))
+                this.cells.set(key, []);
+            this.cells.get(key).push(body);
+        });
+    }
+
+    query(box) {
+        // query(): Return every registered body whose bounding box overlaps the given box.
+        const found = new Set(this.oversized.filter(body => Spatial_Hash.boxes_overlap(box, this.boxes.get(body))));
+        this.for_each_cell(box, key => {
+            for (let body of this.cells.get(key) || [])
+                if (Spatial_Hash.boxes_overlap(box, this.boxes.get(body)))
+                    found.add(body);
+        });
+        return [...found];
+    }
+
+    candidate_pairs() {
+        // candidate_pairs(): Return each pair [a, b] of registered bodies whose bounding boxes
+        // overlap, exactly once, no matter how many cells the two bodies share.
+        const pairs = [], seen = new Map();
+        for (let bucket of this.cells.values())
+            for (let i = 0; i < bucket.length; i++)
+                for (let j = i + 1; j < bucket.length; j++) {
+                    const a = bucket[i], b = bucket[j];
+                    if (!seen.has(a)) seen.set(a, new Set());
+                    if (!seen.has(b)) seen.set(b, new Set());
+                    if (seen.get(a).has(b))
+                        continue;
+                    seen.get(a).add(b);
+                    seen.get(b).add(a);
+                    if (Spatial_Hash.boxes_overlap(this.boxes.get(a), this.boxes.get(b)))
+                        pairs.push([a, b]);
+                }
+        // Oversized bodies weren't binned, so box-test each of them against every other body
+        // (only against the later ones among the oversized, to list each pair once):
+        this.oversized.forEach((a, i) => {
+            for (let b of this.boxes.keys()) {
+                const j = this.oversized.indexOf(b);
+                if ((j == -1 || j > i) && Spatial_Hash.boxes_overlap(this.boxes.get(a), this.boxes.get(b)))
+                    pairs.push([a, b]);
+            }
+        });
+        return pairs;
+    }
+}
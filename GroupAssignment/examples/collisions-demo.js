@@ -1,7 +1,11 @@
 import {defs, tiny} from './common.js';
+import {Spatial_Hash} from './broad-phase.js';
+import {Sphere_Collider, Ellipsoid_Collider, Box_Collider, Hull_Collider} from './narrow-phase.js';
+import {Static_Plane} from './static-geometry.js';
+import {Inertia} from './inertia.js';
 
 // Pull these names into this module's scope for convenience:
-const {vec3, unsafe3, vec4, color, Mat4, Light, Shape, Material, Shader, Texture, Scene} = tiny;
+const {vec3, unsafe3, vec4, color, Mat4, Quaternion, Light, Shape, Material, Shader, Texture, Scene} = tiny;
 
 export class Body {
     // **Body** can store and update the properties of a 3D body that incrementally
@@ -10,6 +14,42 @@ export class Body {
     constructor(shape, material, size) {
         Object.assign(this,
             {shape, material, size})
+        // Mass is the volume of the body's stretched unit shape, at a density of 1:
+        this.mass = size[0] * size[1] * size[2];
+    }
+
+    principal_moments() {
+        // principal_moments(): The body's moments of inertia about its own axes (see Inertia).
+        return Inertia.principal_moments(this.shape, this.size, this.mass);
+    }
+
+    inverse_inertia_times(v) {
+        // inverse_inertia_times(): Multiply a world space vector by the inverse of the body's inertia
+        // tensor, as the body is turned right now.
+        return Inertia.world_times(this.rotation, this.principal_moments().map(x => 1 / x), v);
+    }
+
+    angular_velocity_vector() {
+        // angular_velocity_vector(): The body's spin (radians/sec), which follows from its angular
+        // momentum and how its inertia is turned.
+        return this.inverse_inertia_times(this.angular_momentum);
+    }
+
+    set_angular_velocity_vector(w) {
+        // set_angular_velocity_vector(): Set the angular momentum that spins the body at w right now.
+        this.angular_momentum = Inertia.world_times(this.rotation, this.principal_moments(), w);
+    }
+
+    velocity_at(point) {
+        // velocity_at(): The velocity of the body's material at a world space point, spin included.
+        return this.linear_velocity.plus(this.angular_velocity_vector().cross(point.minus(this.center)));
+    }
+
+    apply_impulse(impulse, point) {
+        // apply_impulse(): Instantly change the body's momentum by the impulse vector, applied at a
+        // world space point.  Off-center impulses change its angular momentum as well.
+        this.linear_velocity = this.linear_velocity.plus(impulse.times(1 / this.mass));
+        this.angular_momentum = this.angular_momentum.plus(point.minus(this.center).cross(impulse));
     }
 
     // (within some margin of distance).
@@ -23,12 +63,16 @@ export class Body {
 
     emplace(location_matrix, linear_velocity, angular_velocity, spin_axis = vec3(0, 0, 0).randomized(1).normalized()) {                               // emplace(): assign the body's initial values, or overwrite them.
         this.center = location_matrix.times(vec4(0, 0, 0, 1)).to3();
-        this.rotation = Mat4.translation(...this.center.times(-1)).times(location_matrix);
+        // Keep the orientation as a unit quaternion.  Any uniform scale in location_matrix is
+        // dropped here; stretching a moving body belongs in its "size" instead.
+        this.rotation = Quaternion.from_matrix(location_matrix);
         this.previous = {center: this.center.copy(), rotation: this.rotation.copy()};
         // drawn_location gets replaced with an interpolated quantity:
         this.drawn_location = location_matrix;
         this.temp_matrix = Mat4.identity();
-        return Object.assign(this, {linear_velocity, angular_velocity, spin_axis})
+        this.linear_velocity = linear_velocity;
+        this.set_angular_velocity_vector(spin_axis.times(angular_velocity));
+        return this;
     }
 
     advance(time_amount) {
@@ -36,21 +80,21 @@ export class Body {
         // advance all the linear and angular velocities one time-step forward.
         this.previous = {center: this.center.copy(), rotation: this.rotation.copy()};
         // Apply the velocities scaled proportionally to real time (time_amount):
-        // Linear velocity first, then angular:
+        // Linear velocity first, then angular.  With no torque the angular momentum stays put, but
+        // the angular velocity it makes still changes as the body's inertia turns along with it.
         this.center = this.center.plus(this.linear_velocity.times(time_amount));
-        this.rotation.pre_multiply(Mat4.rotation(time_amount * this.angular_velocity, ...this.spin_axis));
+        const w = this.angular_velocity_vector();
+        this.rotation = Quaternion.from_axis_angle(time_amount * w.norm(), ...w)
+            .times(this.rotation).normalized();
     }
 
     // The following are our various functions for testing a single point,
     // p, against some analytically-known geometric volume formula
 
     blend_rotation(alpha) {
-        // blend_rotation(): Just naively do a linear blend of the rotations, which looks
-        // ok sometimes but otherwise produces shear matrices, a wrong result.
-
-        // TODO:  Replace this function with proper quaternion blending, and perhaps
-        // store this.rotation in quaternion form instead for compactness.
-        return this.rotation.map((x, i) => vec4(...this.previous.rotation[i]).mix(x, alpha));
+        // blend_rotation(): Spherically interpolate between the previous and current
+        // orientations.  Unlike blending matrix rows, this always yields a rigid rotation.
+        return this.previous.rotation.slerp(this.rotation, alpha).to_mat4();
     }
 
     blend_state(alpha) {
@@ -72,6 +116,9 @@ export class Body {
         if (this == b)
             return false;
         // Nothing collides with itself.
+        // Analytic colliders (see narrow-phase.js) test the two bodies themselves:
+        if (collider.contact_test)
+            return !!collider.contact_test(this, b, collider.leeway);
         // Convert sphere b to the frame where a is a unit sphere:
         const T = this.inverse.times(b.drawn_location, this.temp_matrix);
 
@@ -92,6 +139,18 @@ export class Simulation extends Scene {
     constructor() {
         super();
         Object.assign(this, {time_accumulator: 0, time_scale: 1, t: 0, dt: 1 / 20, bodies: [], steps_taken: 0});
+        // Subclasses can swap in a broad phase with a cell size and padding that suits their bodies:
+        this.broad_phase = new Spatial_Hash();
+    }
+
+    candidate_pairs(extra_bodies = []) {
+        // candidate_pairs(): Register every body (plus any extra ones that aren't simulated, like
+        // obstacles) with the broad phase, and return only the pairs [a, b] that are close enough
+        // to be worth handing to the narrow-phase collider.
+        this.broad_phase.clear();
+        for (let b of [...this.bodies, ...extra_bodies])
+            this.broad_phase.insert(b);
+        return this.broad_phase.candidate_pairs();
     }
 
     simulate(frame_time) {
@@ -200,6 +259,8 @@ export class Inertia_Demo extends Simulation {
             color: color(.4, .8, .4, 1),
             ambient: .4, texture: this.data.textures.stars
         })
+        // The ground, where bodies bounce with a restitution of .8 and a friction of .3:
+        Object.assign(this, {floor: new Static_Plane(vec3(0, 1, 0), vec3(0, -10, 0)), restitution: .8, friction: .3});
     }
 
     random_color() {
@@ -211,21 +272,46 @@ export class Inertia_Demo extends Simulation {
         // scene should do to its bodies every frame -- including applying forces.
         // Generate additional moving bodies if there ever aren't enough:
         while (this.bodies.length < 150)
-            this.bodies.push(new Body(this.data.random_shape(), this.random_color(), vec3(1, 1 + Math.random(), 1))
+            // Give each body three different widths, so that it has three different moments of inertia:
+            this.bodies.push(new Body(this.data.random_shape(), this.random_color(),
+                vec3(.5 + Math.random(), 1 + Math.random(), 1))
                 .emplace(Mat4.translation(...vec3(0, 15, 0).randomized(10)),
-                    vec3(0, -1, 0).randomized(2).normalized().times(3), Math.random()));
+                    vec3(0, -1, 0).randomized(2).normalized().times(3), 3 * Math.random()));
 
         for (let b of this.bodies) {
             // Gravity on Earth, where 1 unit in world space = 1 meter:
             b.linear_velocity[1] += dt * -9.8;
-            // If about to fall through floor, reverse y velocity:
-            if (b.center[1] < -8 && b.linear_velocity[1] < 0)
-                b.linear_velocity[1] *= -.8;
+            // If touching the floor, bounce off of it:
+            const contact = this.floor.contact_test(b);
+            if (contact)
+                this.bounce(b, contact);
         }
         // Delete bodies that stop or stray too far away:
         this.bodies = this.bodies.filter(b => b.center.norm() < 50 && b.linear_velocity.norm() > 2);
     }
 
+    bounce(b, {point, normal, depth}) {
+        // bounce(): Lift body b out of the floor, and push it at the point where it touches.  Unless
+        // that point is straight below the center, the push also sets the body spinning.  Friction
+        // against the floor then trades some of the body's sliding for rolling, or the other way.
+        b.center = b.center.plus(normal.times(depth));
+        const r = point.minus(b.center), v = b.velocity_at(point), approach_speed = v.dot(normal);
+        if (approach_speed >= 0)
+            return;
+        // How hard it is to change the point's velocity along some direction, counting both the
+        // body's mass and its resistance to spinning about the axis that push would turn it:
+        const effective_inverse_mass = d => 1 / b.mass + b.inverse_inertia_times(r.cross(d)).dot(r.cross(d));
+        const j = -(1 + this.restitution) * approach_speed / effective_inverse_mass(normal);
+        let impulse = normal.times(j);
+        const sliding = v.minus(normal.times(approach_speed)), sliding_speed = sliding.norm();
+        if (sliding_speed > 1E-6) {
+            const tangent = sliding.times(1 / sliding_speed),
+                jt = Math.min(sliding_speed / effective_inverse_mass(tangent), this.friction * j);
+            impulse = impulse.minus(tangent.times(jt));
+        }
+        b.apply_impulse(impulse, point);
+    }
+
     display(context, program_state) {
         // display(): Draw everything else in the scene besides the moving bodies.
         super.display(context, program_state);
@@ -245,8 +331,9 @@ export class Inertia_Demo extends Simulation {
 
     show_explanation(document_element) {
         document_element.innerHTML += `<p>This demo lets random initial momentums carry bodies until they fall and bounce.  It shows a good way to do incremental movements, which are crucial for making objects look like they're moving on their own instead of following a pre-determined path.  Animated objects look more real when they have inertia and obey physical laws, instead of being driven by simple sinusoids or periodic functions.
-                                     </p><p>For each moving object, we need to store a model matrix somewhere that is permanent (such as inside of our class) so we can keep consulting it every frame.  As an example, for a bowling simulation, the ball and each pin would go into an array (including 11 total matrices).  We give the model transform matrix a \"velocity\" and track it over time, which is split up into linear and angular components.  Here the angular velocity is expressed as an Euler angle-axis pair so that we can scale the angular speed how we want it.
-                                     </p><p>The forward Euler method is used to advance the linear and angular velocities of each shape one time-step.  The velocities are not subject to any forces here, but just a downward acceleration.  Velocities are also constrained to not take any objects under the ground plane.
+                                     </p><p>For each moving object, we need to store a model matrix somewhere that is permanent (such as inside of our class) so we can keep consulting it every frame.  As an example, for a bowling simulation, the ball and each pin would go into an array (including 11 total matrices).  We give the model transform matrix a \"velocity\" and track it over time, which is split up into linear and angular components.
+                                     </p><p>The angular part is tracked as angular momentum, which only torque can change.  How fast a body actually spins depends on its inertia tensor, worked out from its shape and size:  A long, thin body is easier to spin about its long axis than end over end.  Each body here has three different widths, so its spin axis wobbles and sometimes flips over on its own as it tumbles, even though nothing twists it.
+                                     </p><p>The forward Euler method is used to advance the linear and angular velocities of each shape one time-step.  The velocities are not subject to any forces here, but just a downward acceleration.  When a body hits the ground plane, it gets pushed back up at the point where it touches.  That push is usually off-center, so the bounce changes how the body tumbles, and friction with the ground makes it roll.
                                      </p><p>This scene extends class Simulation, which carefully manages stepping simulation time for any scenes that subclass it.  It totally decouples the whole simulation from the frame rate, following the suggestions in the blog post <a href=\"https://gafferongames.com/post/fix_your_timestep/\" target=\"blank\">\"Fix Your Timestep\"</a> by Glenn Fielder.  Buttons allow you to speed up and slow down time to show that the simulation's answers do not change.</p>`;
     }
 }
@@ -263,7 +350,11 @@ export class Collision_Demo extends Simulation {
         this.colliders = [
             {intersect_test: Body.intersect_sphere, points: new defs.Subdivision_Sphere(1), leeway: .5},
             {intersect_test: Body.intersect_sphere, points: new defs.Subdivision_Sphere(2), leeway: .3},
-            {intersect_test: Body.intersect_cube, points: new defs.Cube(), leeway: .1}
+            {intersect_test: Body.intersect_cube, points: new defs.Cube(), leeway: .1},
+            new Sphere_Collider(.5),
+            new Ellipsoid_Collider(.3),
+            new Box_Collider(.1),
+            new Hull_Collider(.1)
         ];
         this.collider_selection = 0;
         // Materials:
@@ -314,22 +405,24 @@ export class Collision_Demo extends Simulation {
             // Apply a small centripetal force to everything.
             a.material = this.inactive_color;
             // Default color: white
-
-            if (a.linear_velocity.norm() == 0)
-                continue;
-            // *** Collision process is here ***
-            // Loop through all bodies again (call each "b"):
-            for (let b of this.bodies) {
+        }
+        // Bodies that were already stopped don't need testing again:
+        const moving = new Set(this.bodies.filter(b => b.linear_velocity.norm() != 0));
+
+        // *** Collision process is here ***
+        // Rather than looping through all bodies again for each "a", let the broad phase
+        // narrow things down to the pairs of bodies that are near one another:
+        for (let pair of this.candidate_pairs())
+            for (let [a, b] of [pair, [pair[1], pair[0]]]) {
                 // Pass the two bodies and the collision shape to check_if_colliding():
-                if (!a.check_if_colliding(b, collider))
+                if (!moving.has(a) || !a.check_if_colliding(b, collider))
                     continue;
                 // If we get here, we collided, so turn red and zero out the
                 // velocity so they don't inter-penetrate any further.
                 a.material = this.active_color;
                 a.linear_velocity = vec3(0, 0, 0);
-                a.angular_velocity = 0;
+                a.angular_momentum = vec3(0, 0, 0);
             }
-        }
     }
 
     display(context, program_state) {
@@ -348,8 +441,9 @@ export class Collision_Demo extends Simulation {
         // the physical shape that is really being collided with:
         const {points, leeway} = this.colliders[this.collider_selection];
         const size = vec3(1 + leeway, 1 + leeway, 1 + leeway);
+        // (The convex hull collider has no stand-in shape; it collides with the drawn shapes themselves.)
         for (let b of this.bodies)
-            points.draw(context, program_state, b.drawn_location.times(Mat4.scale(...size)), this.bright, "LINE_STRIP");
+            (points || b.shape).draw(context, program_state, b.drawn_location.times(Mat4.scale(...size)), this.bright, "LINE_STRIP");
     }
 
     show_explanation(document_element) {
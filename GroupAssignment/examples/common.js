@@ -437,6 +437,89 @@ const Axis_Arrows = defs.Axis_Arrows =
     }
 
 
+const Particle_System = defs.Particle_System =
+    class Particle_System extends Shape {
+        // **Particle_System** is a pool of particles, drawn as points with a Particle_Shader.  All of their
+        // motion happens on the graphics card:  Each particle's vertex only stores how it started out --
+        // its "position" and "velocity" when emitted, and its "timing" (time of birth, lifetime) -- and
+        // the vertex shader works out where it is now from the current time and gravity.  So JavaScript
+        // never touches a particle again after emitting it, and the buffers only get re-sent on frames
+        // when new ones were emitted.  The pool is a ring:  Once it's full, new particles replace the
+        // oldest ones.  Pass emit() one of the emitters below to say where particles start and which way
+        // they head.
+        constructor(capacity = 1000) {
+            super("position", "velocity", "timing");
+            // Every particle starts out with a lifetime of 0, which means it was never emitted:
+            this.arrays.position = Array(capacity).fill(0).map(() => vec3(0, 0, 0));
+            this.arrays.velocity = Array(capacity).fill(0).map(() => vec3(0, 0, 0));
+            this.arrays.timing = Array(capacity).fill(0).map(() => vec(0, 0));
+            Object.assign(this, {capacity, next: 0, changed: false});
+        }
+
+        static random_direction(random = Math.random) {
+            // random_direction(): A unit vector pointing anywhere, with every direction equally likely.
+            const z = 2 * random() - 1, angle = 2 * Math.PI * random(), r = Math.sqrt(1 - z * z);
+            return vec3(r * Math.cos(angle), r * Math.sin(angle), z);
+        }
+
+        static point(origin) {
+            // point(): An emitter that sends particles every which way from one point.
+            return random => ({position: origin, direction: Particle_System.random_direction(random)});
+        }
+
+        static cone(origin, axis, angle) {
+            // cone(): An emitter that sends particles from one point, within some angle (radians) of an axis.
+            const w = axis.normalized(),
+                u = w.cross(Math.abs(w[0]) < .9 ? vec3(1, 0, 0) : vec3(0, 1, 0)).normalized(), v = w.cross(u);
+            return random => {
+                // Pick the angle away from the axis so that every direction within the cone is equally likely:
+                const cos = 1 - random() * (1 - Math.cos(angle)), sin = Math.sqrt(1 - cos * cos),
+                    around = 2 * Math.PI * random();
+                return {
+                    position: origin,
+                    direction: w.times(cos).plus(u.times(sin * Math.cos(around))).plus(v.times(sin * Math.sin(around)))
+                };
+            }
+        }
+
+        static sphere(center, radius) {
+            // sphere(): An emitter that sends particles straight out from all over a sphere's surface.
+            return random => {
+                const direction = Particle_System.random_direction(random);
+                return {position: center.plus(direction.times(radius)), direction};
+            }
+        }
+
+        emit(emitter, count, time, speed = [1, 2], lifetime = [.5, 1], random = Math.random) {
+            // emit(): Start "count" new particles at the given time (seconds, on the same clock the
+            // Particle_Shader draws with).  Their speeds and lifetimes are picked from within the given
+            // [lowest, highest] ranges.
+            for (let i = 0; i < count; i++) {
+                const {position, direction} = emitter(random),
+                    pick = ([low, high]) => low + (high - low) * random();
+                this.arrays.position[this.next] = position;
+                this.arrays.velocity[this.next] = direction.times(pick(speed));
+                this.arrays.timing[this.next] = vec(time, pick(lifetime));
+                this.next = (this.next + 1) % this.capacity;
+            }
+            this.changed = true;
+        }
+
+        draw(webgl_manager, program_state, model_transform, material, type = "POINTS") {
+            // draw(): Send any newly emitted particles to the graphics card first.  The particles are
+            // see-through, so they don't write to the depth buffer; that way none of them hide the
+            // ones behind.
+            const gl = webgl_manager.context;
+            if (this.changed && this.gpu_instances.get(gl))
+                this.copy_onto_graphics_card(gl, ["position", "velocity", "timing"], false);
+            this.changed = false;
+            gl.depthMask(false);
+            super.draw(webgl_manager, program_state, model_transform, material, type);
+            gl.depthMask(true);
+        }
+    }
+
+
 const Minimal_Shape = defs.Minimal_Shape =
     class Minimal_Shape extends tiny.Vertex_Buffer {
         // **Minimal_Shape** an even more minimal triangle, with three
@@ -576,19 +659,64 @@ const Phong_Shader = defs.Phong_Shader =
         // determining brightness of pixels via vector math.  It compares the normal vector
         // at that pixel with the vectors toward the camera and light sources.
 
-
+        // The number of lights gets baked into the GLSL code, so to draw with more lights than
+        // num_lights, the shader compiles another version of itself with room for them (see
+        // activate()).  If there are more lights than the graphics card has room for, each shape
+        // gets drawn with just the ones that light it the most.
         constructor(num_lights = 2) {
             super();
             this.num_lights = num_lights;
+            // The versions of this shader made for other numbers of lights, which all share this list:
+            Object.assign(this, {original: this, variants: new Map([[num_lights, this]])});
+        }
+
+        static light_capacity(gl) {
+            // light_capacity(): The most lights any Phong_Shader draws with at once on this WebGL context.
+            // Each light takes up about five of the fragment shader's uniform vectors (WebGL 1 only
+            // promises 16 of them, though most graphics cards have hundreds); leave some for the rest.
+            if (!Phong_Shader.capacities.has(gl))
+                Phong_Shader.capacities.set(gl, Math.max(1, Math.min(Phong_Shader.max_lights,
+                    Math.floor((gl.getParameter(gl.MAX_FRAGMENT_UNIFORM_VECTORS) - 32) / 5))));
+            return Phong_Shader.capacities.get(gl);
+        }
+
+        static light_strength(light, point) {
+            // light_strength(): Roughly how brightly a light shines on a point, for picking which lights
+            // matter most to a shape.
+            const brightness = (light.color[0] + light.color[1] + light.color[2]) / 3;
+            return brightness * (light.position[3] ? light.reach(point) : 1);
+        }
+
+        light_slots(gl, count) {
+            // light_slots(): How many lights to compile the shader for, to draw with "count" lights.  Counts
+            // round up to a power of two, so that only a few versions of the shader ever get compiled.
+            const {num_lights} = this.original, capacity = Phong_Shader.light_capacity(gl);
+            if (count <= num_lights)
+                return num_lights;
+            return Math.min(2 ** Math.ceil(Math.log2(count)), capacity);
+        }
+
+        variant(num_lights) {
+            // variant(): This shader, compiled for some other number of lights.  Made the first time it's asked for.
+            if (!this.variants.has(num_lights))
+                this.variants.set(num_lights, Object.assign(Object.create(Object.getPrototypeOf(this)), this,
+                    {num_lights, gpu_instances: new Map()}));
+            return this.variants.get(num_lights);
+        }
+
+        activate(context, buffer_pointers, program_state, model_transform, material) {
+            // activate(): Select the version of this shader with the right number of lights for the scene's
+            // lights, before carrying on as usual.
+            const slots = this.light_slots(context, program_state.lights.length);
+            if (slots != this.num_lights)
+                return this.variant(slots).activate(context, buffer_pointers, program_state, model_transform, material);
+            super.activate(context, buffer_pointers, program_state, model_transform, material);
         }
 
         shared_glsl_code() {
             // ********* SHARED CODE, INCLUDED IN BOTH SHADERS *********
             return ` precision mediump float;
-                const int N_LIGHTS = ` + this.num_lights + `;
                 uniform float ambient, diffusivity, specularity, smoothness;
-                uniform vec4 light_positions_or_vectors[N_LIGHTS], light_colors[N_LIGHTS];
-                uniform float light_attenuation_factors[N_LIGHTS];
                 uniform vec4 shape_color;
                 uniform vec3 squared_scale, camera_center;
         
@@ -596,6 +724,7 @@ const Phong_Shader = defs.Phong_Shader =
                 // on to the next phase (fragment shader), then interpolated per-fragment, weighted by the
                 // pixel fragment's proximity to each of the 3 vertices (barycentric interpolation).
                 varying vec3 N, vertex_worldspace;
+                ` + this.light_glsl_code() + `
                 // ***** PHONG SHADING HAPPENS HERE: *****                                       
                 vec3 phong_model_lights( vec3 N, vec3 vertex_worldspace ){                                        
                     // phong_model_lights():  Add up the lights' contributions.
@@ -618,7 +747,8 @@ const Phong_Shader = defs.Phong_Shader =
                         // Reflection Model, using Blinn's "halfway vector" method:
                         float diffuse  =      max( dot( N, L ), 0.0 );
                         float specular = pow( max( dot( N, H ), 0.0 ), smoothness );
-                        float attenuation = 1.0 / (1.0 + light_attenuation_factors[i] * distance_to_light * distance_to_light );
+                        float attenuation = light_attenuation( light_positions_or_vectors[i], light_attenuation_factors[i],
+                                                               light_directions[i], light_cones[i], L, distance_to_light );
                         
                         vec3 light_contribution = shape_color.xyz * light_colors[i].xyz * diffusivity * diffuse
                                                                   + light_colors[i].xyz * specularity * specular;
@@ -628,6 +758,32 @@ const Phong_Shader = defs.Phong_Shader =
                   } `;
         }
 
+        light_glsl_code() {
+            // light_glsl_code(): The lights' uniforms, and how to work out how much of each light reaches a
+            // point.  Shaders with their own Phong formula can include this to handle every kind of Light.
+            return `
+                const int N_LIGHTS = ` + this.num_lights + `;
+                uniform vec4 light_positions_or_vectors[N_LIGHTS], light_colors[N_LIGHTS];
+                uniform float light_attenuation_factors[N_LIGHTS];
+                // Spotlights have a direction (with w = 1), and "cones" holds the cosines of their inner
+                // and outer angles and their falloff exponent, followed by a range (0 for unlimited).
+                uniform vec4 light_directions[N_LIGHTS], light_cones[N_LIGHTS];
+                
+                float light_attenuation( vec4 light_position, float attenuation_factor, vec4 direction, vec4 cone,
+                                         vec3 L, float distance_to_light ){
+                    // light_attenuation():  How much of a light reaches a point, given the unit vector L
+                    // from the point to the light and the distance to it.
+                    float attenuation = 1.0 / (1.0 + attenuation_factor * distance_to_light * distance_to_light );
+                    // Fade a point light out smoothly as it nears the end of its range:
+                    if( light_position.w != 0.0 && cone.w > 0.0 )
+                        attenuation *= pow( clamp( 1.0 - pow( distance_to_light / cone.w, 4.0 ), 0.0, 1.0 ), 2.0 );
+                    // Fade a spotlight out between its inner and outer cones:
+                    if( direction.w > 0.0 )
+                        attenuation *= pow( smoothstep( cone.y, cone.x, dot( -L, direction.xyz ) ), cone.z );
+                    return attenuation;
+                  } `;
+        }
+
         vertex_glsl_code() {
             // ********* VERTEX SHADER *********
             return this.shared_glsl_code() + `
@@ -688,18 +844,33 @@ const Phong_Shader = defs.Phong_Shader =
             gl.uniformMatrix4fv(gpu.model_transform, false, Matrix.flatten_2D_to_1D(model_transform.transposed()));
             gl.uniformMatrix4fv(gpu.projection_camera_model_transform, false, Matrix.flatten_2D_to_1D(PCM.transposed()));
 
-            // Omitting lights will show only the material color, scaled by the ambient term:
-            if (!gpu_state.lights.length)
-                return;
+            this.send_lights(gl, gpu, gpu_state.lights, model_transform);
+        }
 
-            const light_positions_flattened = [], light_colors_flattened = [];
-            for (let i = 0; i < 4 * gpu_state.lights.length; i++) {
-                light_positions_flattened.push(gpu_state.lights[Math.floor(i / 4)].position[i % 4]);
-                light_colors_flattened.push(gpu_state.lights[Math.floor(i / 4)].color[i % 4]);
+        send_lights(gl, gpu, lights, model_transform) {
+            // send_lights(): Send the lights over, filling any slots left over with unlit (black) lights,
+            // so omitting lights shows only the material color, scaled by the ambient term.  If there
+            // are more lights than slots, the ones shining brightest on the shape's center win.
+            if (lights.length > this.num_lights) {
+                const center = model_transform.times(vec4(0, 0, 0, 1)).to3(),
+                    strengths = new Map(lights.map(light => [light, Phong_Shader.light_strength(light, center)]));
+                lights = [...lights].sort((a, b) => strengths.get(b) - strengths.get(a)).slice(0, this.num_lights);
+            }
+            const positions = [], colors = [], attenuations = [], directions = [], cones = [];
+            for (let i = 0; i < this.num_lights; i++) {
+                const light = lights[i], spot = light && light.is_spot();
+                positions.push(...(light ? light.position : [0, 0, 0, 1]));
+                colors.push(...(light ? light.color : [0, 0, 0, 0]));
+                attenuations.push(light ? light.attenuation : 0);
+                directions.push(...(spot ? light.direction : [0, 0, 0]), spot ? 1 : 0);
+                cones.push(...(spot ? light.cone_cosines() : [1, 0]), spot ? light.falloff : 1,
+                    light && light.range < Infinity ? light.range : 0);
             }
-            gl.uniform4fv(gpu.light_positions_or_vectors, light_positions_flattened);
-            gl.uniform4fv(gpu.light_colors, light_colors_flattened);
-            gl.uniform1fv(gpu.light_attenuation_factors, gpu_state.lights.map(l => l.attenuation));
+            gl.uniform4fv(gpu.light_positions_or_vectors, positions);
+            gl.uniform4fv(gpu.light_colors, colors);
+            gl.uniform1fv(gpu.light_attenuation_factors, attenuations);
+            gl.uniform4fv(gpu.light_directions, directions);
+            gl.uniform4fv(gpu.light_cones, cones);
         }
 
         update_GPU(context, gpu_addresses, gpu_state, model_transform, material) {
@@ -719,6 +890,10 @@ const Phong_Shader = defs.Phong_Shader =
     }
 
 
+// The most lights a Phong_Shader ever compiles room for, and how many each WebGL context has room for:
+Object.assign(Phong_Shader, {max_lights: 64, capacities: new Map()});
+
+
 const Textured_Phong = defs.Textured_Phong =
     class Textured_Phong extends Phong_Shader {
         // **Textured_Phong** is a Phong Shader extended to addditionally decal a
@@ -804,6 +979,78 @@ const Fake_Bump_Map = defs.Fake_Bump_Map =
     }
 
 
+const Particle_Shader = defs.Particle_Shader =
+    class Particle_Shader extends Shader {
+        // **Particle_Shader** draws a Particle_System.  Each particle is a round, soft point sprite that
+        // always faces the camera and shrinks with distance.  Over its life it fades from the material's
+        // "start_color" to its "end_color", while "gravity" pulls on it.  The "size" option is its
+        // width in world units.  Particles age by program_state.animation_time, unless the material
+        // gives a "time" (in seconds) of its own, like a simulation's clock.
+        vertex_glsl_code() {
+            // ********* VERTEX SHADER *********
+            // (Times keep growing, so use high precision here to keep particles moving smoothly.)
+            return `
+                precision highp float;
+                attribute vec3 position, velocity;
+                attribute vec2 timing;
+                uniform mat4 projection_camera_model_transform;
+                uniform vec3 gravity;
+                uniform float time, size, point_scale;
+                varying float life;
+
+                void main(){
+                    float age = time - timing.x;
+                    // How much of its lifetime the particle has used up, from 0 to 1:
+                    life = age / timing.y;
+                    // Hide particles that were never emitted, haven't been born yet, or have died:
+                    if( timing.y <= 0.0 || age < 0.0 || age > timing.y ) {
+                        gl_Position = vec4( 2.0, 2.0, 2.0, 1.0 );
+                        gl_PointSize = 0.0;
+                        return;
+                    }
+                    vec3 p = position + velocity * age + .5 * gravity * age * age;
+                    gl_Position = projection_camera_model_transform * vec4( p, 1.0 );
+                    gl_PointSize = size * point_scale / gl_Position.w;
+                } `;
+        }
+
+        fragment_glsl_code() {
+            // ********* FRAGMENT SHADER *********
+            return `
+                precision mediump float;
+                uniform vec4 start_color, end_color;
+                varying float life;
+
+                void main(){
+                    // Round off the square point into a disc that fades out towards its edge:
+                    float r = 2.0 * length( gl_PointCoord - vec2( .5 ) );
+                    if( r > 1.0 ) discard;
+                    vec4 c = mix( start_color, end_color, life );
+                    gl_FragColor = vec4( c.xyz, c.w * ( 1.0 - r * r ) );
+                } `;
+        }
+
+        update_GPU(context, gpu_addresses, gpu_state, model_transform, material) {
+            // update_GPU(): Send the matrices, the clock, and the particles' look to the GPU.
+            const defaults = {
+                start_color: color(1, 1, 1, 1), end_color: color(1, 1, 1, 0), size: .2, gravity: vec3(0, -9.8, 0)
+            };
+            material = Object.assign({}, defaults, material);
+            const time = material.time !== undefined ? material.time : gpu_state.animation_time / 1000;
+            const PCM = gpu_state.projection_transform.times(gpu_state.camera_inverse).times(model_transform);
+            context.uniformMatrix4fv(gpu_addresses.projection_camera_model_transform, false,
+                Matrix.flatten_2D_to_1D(PCM.transposed()));
+            context.uniform1f(gpu_addresses.time, time);
+            context.uniform3fv(gpu_addresses.gravity, material.gravity);
+            context.uniform4fv(gpu_addresses.start_color, material.start_color);
+            context.uniform4fv(gpu_addresses.end_color, material.end_color);
+            context.uniform1f(gpu_addresses.size, material.size);
+            // A size of 1 at distance 1 (w = 1) spans this many pixels, for the current projection:
+            context.uniform1f(gpu_addresses.point_scale, gpu_state.projection_transform[1][1] * context.drawingBufferHeight / 2);
+        }
+    }
+
+
 const Movement_Controls = defs.Movement_Controls =
     class Movement_Controls extends Scene {
         // **Movement_Controls** is a Scene that can be attached to a canvas, like any other
@@ -1017,4 +1264,198 @@ const Program_State_Viewer = defs.Program_State_Viewer =
         display(context, program_state) {
             this.program_state = program_state;
         }
-    }
\ No newline at end of file
+    }
+
+const Easing = defs.Easing = {
+    // **Easing** functions shape how a Tween gets from start to end.  Each takes how far along (0 to 1)
+    // the tween is in time, and returns how far along (0 at the start, 1 at the end) its value should be.
+    linear: s => s,
+    ease_in: s => s * s,
+    ease_out: s => s * (2 - s),
+    ease_in_out: s => s < .5 ? 2 * s * s : 1 - 2 * (1 - s) ** 2,
+    cubic_in: s => s ** 3,
+    cubic_out: s => 1 - (1 - s) ** 3,
+    cubic_in_out: s => s < .5 ? 4 * s ** 3 : 1 - 4 * (1 - s) ** 3,
+    sine_in_out: s => (1 - Math.cos(Math.PI * s)) / 2,
+    back_out: s => 1 + 2.7 * (s - 1) ** 3 + 1.7 * (s - 1) ** 2,
+    elastic_out: s => s == 0 || s == 1 ? s : 1 + 2 ** (-10 * s) * Math.sin((s - .075) * 2 * Math.PI / .3),
+    bounce_out: s => {
+        // Fall, then bounce three times, each lower than the last:
+        const n = 7.5625, d = 2.75;
+        if (s < 1 / d) return n * s * s;
+        if (s < 2 / d) return n * (s - 1.5 / d) ** 2 + .75;
+        if (s < 2.5 / d) return n * (s - 2.25 / d) ** 2 + .9375;
+        return n * (s - 2.625 / d) ** 2 + .984375;
+    }
+};
+
+
+const Animation = defs.Animation =
+    class Animation {
+        // **Animation** is anything that plays out over a stretch of time:  Tweens, and Sequences and
+        // Parallel groups made of other Animations.  Every Animation can be "seeked" to any time
+        // (milliseconds since it started), which sets whatever it animates to how it should look then.
+        // All of them take the same options:  A "delay" to wait before starting, how many "loops" to play
+        // (Infinity loops forever), and callbacks "on_loop" (called when it starts over for another loop)
+        // and "on_complete" (called once the last loop finishes).
+        constructor({delay = 0, loops = 1, on_loop, on_complete} = {}) {
+            Object.assign(this, {delay, loops, on_loop, on_complete, loop: 0, finished: false});
+        }
+
+        span() {
+            // span(): How long (milliseconds) one loop takes.  Each kind of Animation says.
+            return 0;
+        }
+
+        length() {
+            // length(): How long (milliseconds) the whole thing takes, counting its delay and loops.
+            return this.delay + (this.loops == Infinity ? Infinity : this.loops * this.span());
+        }
+
+        apply(t) {
+            // apply(): Set whatever is animated to how it looks t milliseconds into one loop.  Each kind of
+            // Animation says how.
+        }
+
+        seek(t) {
+            // seek(): Go to t milliseconds after the start.  Before the start (or during the delay) it leaves
+            // things alone; after the end it leaves them how they finished.
+            t -= this.delay;
+            if (t < 0)
+                this.finished = false;
+            if (t < 0 || this.finished && t >= this.length() - this.delay)
+                return;
+            const span = this.span(),
+                loop = span > 0 ? Math.min(Math.floor(t / span), this.loops) : Math.min(this.loops, 1);
+            if (loop < this.loop)
+                this.loop = 0;
+            // If a loop ended since the last seek, finish it off first so nothing stops partway:
+            if (loop > this.loop) {
+                this.apply(span);
+                this.loop = loop;
+                if (loop < this.loops && this.on_loop)
+                    this.on_loop(this);
+            }
+            this.finished = loop >= this.loops;
+            if (!this.finished)
+                return this.apply(t - loop * span);
+            if (this.on_complete)
+                this.on_complete(this);
+        }
+    }
+
+
+const Tween = defs.Tween =
+    class Tween extends Animation {
+        // **Tween** moves one property of some object from one value to another over "duration"
+        // milliseconds, shaped by an "ease" function (see Easing).  The values can be numbers, or anything
+        // made of numbers that's the same size at both ends:  Vectors, Colors, Matrices (like Mat4s), or
+        // plain arrays.  Unless given a "from" value, it starts from wherever the property is when the
+        // tween first begins.  An "on_update" callback, if given, gets called with the tween each time it
+        // sets the property.
+        constructor(target, property, to, duration, options = {}) {
+            super(options);
+            const {from, ease = Easing.linear, on_update} = options;
+            Object.assign(this, {target, property, to, duration, from, ease, on_update});
+        }
+
+        static copy(value) {
+            // copy(): A copy of a value that won't change when the original does.
+            return typeof value == "number" ? value : value.copy ? value.copy() : value.map(Tween.copy);
+        }
+
+        static mix(a, b, s) {
+            // mix(): The value s of the way from a to b (or further, for s outside of 0 to 1).
+            if (typeof a == "number")
+                return a + s * (b - a);
+            if (a.mix)
+                return a.mix(b, s);
+            return a.map((x, i) => Tween.mix(x, b[i], s));
+        }
+
+        span() {
+            return this.duration;
+        }
+
+        apply(t) {
+            if (this.from === undefined)
+                this.from = Tween.copy(this.target[this.property]);
+            const s = this.duration > 0 ? Math.min(Math.max(t / this.duration, 0), 1) : 1;
+            this.target[this.property] = Tween.mix(this.from, this.to, this.ease(s));
+            if (this.on_update)
+                this.on_update(this);
+        }
+    }
+
+
+const Sequence = defs.Sequence =
+    class Sequence extends Animation {
+        // **Sequence** plays a list of Animations one after another.
+        constructor(animations, options = {}) {
+            super(options);
+            this.animations = animations;
+        }
+
+        span() {
+            return this.animations.reduce((sum, a) => sum + a.length(), 0);
+        }
+
+        apply(t) {
+            // Each child gets seeked to its own time, so the ones already done stay done and the ones yet to
+            // come stay put:
+            for (let a of this.animations) {
+                a.seek(t);
+                t -= a.length();
+            }
+        }
+    }
+
+
+const Parallel = defs.Parallel =
+    class Parallel extends Animation {
+        // **Parallel** plays a group of Animations all at once, and finishes when the longest one does.
+        constructor(animations, options = {}) {
+            super(options);
+            this.animations = animations;
+        }
+
+        span() {
+            return Math.max(0, ...this.animations.map(a => a.length()));
+        }
+
+        apply(t) {
+            for (let a of this.animations)
+                a.seek(t);
+        }
+    }
+
+
+const Timeline = defs.Timeline =
+    class Timeline {
+        // **Timeline** plays Animations on a scene's clock.  Call update() with
+        // program_state.animation_time in each display(), and everything played on the timeline moves
+        // along with it (and stops while the animation is paused).  Animations get dropped once they finish.
+        constructor() {
+            Object.assign(this, {time: 0, playing: []});
+        }
+
+        play(animation, start_time = this.time) {
+            // play(): Start an Animation, now unless given some other time (milliseconds, on the same clock
+            // as update()).  Returns the animation.
+            this.playing.push({animation, start_time});
+            return animation;
+        }
+
+        stop(animation) {
+            // stop(): Drop an Animation right where it is, without finishing it.
+            this.playing = this.playing.filter(p => p.animation != animation);
+        }
+
+        update(time) {
+            // update(): Move every playing Animation to the given time.
+            this.time = time;
+            for (let {animation, start_time} of [...this.playing])
+                animation.seek(time - start_time);
+            this.playing = this.playing.filter(p => !p.animation.finished);
+        }
+    }
@@ -0,0 +1,326 @@
+import {tiny} from './common.js';
+import {Static_Geometry} from './static-geometry.js';
+// Pull these names into this module's scope for convenience:
+const {vec3, Quaternion} = tiny;
+
+export class Constraint {
+    // **Constraint** connects two bodies, limiting how they can move relative to each other.  Most
+    // constraints hold an "anchor" point on one body to an anchor point on the other.  Anchors are given
+    // in each body's own frame:  An offset from its center, turned along with it (but not stretched by
+    // its size).  Leave out the second body to attach the first one to the world instead; its anchor is
+    // then a fixed point in world space.
+
+    // A Simulation keeps a list of constraints and solves them together each step, before it moves the
+    // bodies (see Simulation.solve_constraints()).  Solving means giving both bodies equal and opposite
+    // impulses until the velocities at the anchors agree with the constraint, plus a little extra to
+    // close any gap that has opened up since.  Fixing one constraint can upset another, so the solver
+    // loops over all of them several times.  Constraints with a break_impulse come apart for good when
+    // holding the bodies together takes a bigger impulse (or angular impulse) than that in one step.
+    constructor(a, b = Constraint.world, break_impulse = Infinity) {
+        Object.assign(this, {a, b, break_impulse, broken: false});
+    }
+
+    static rotation_of(body) {
+        // rotation_of(): How a body is turned right now.  The world never turns.
+        return body === Constraint.world ? Quaternion.identity() : body.rotation;
+    }
+
+    static world_point(body, anchor) {
+        // world_point(): Where a body's anchor is in world space right now.  For the world, anchors
+        // are already world space points.
+        return body === Constraint.world ? anchor : body.center.plus(body.rotation.rotate(anchor));
+    }
+
+    connects(a, b) {
+        // connects(): Whether this constraint joins bodies a and b (in either order).
+        return this.a === a && this.b === b || this.a === b && this.b === a;
+    }
+
+    prepare(dt) {
+        // prepare(): Called once per step before solving.  Add up the impulse and angular impulse the
+        // constraint applies to body a this step, to tell if it breaks.  Begin by applying all that it
+        // took last step again ("warm starting"):  In a stack or a chain the same weight rests on each
+        // joint step after step, so the solver's loops then only have to correct for what changed.
+        const {impulse = vec3(0, 0, 0), angular_impulse = vec3(0, 0, 0)} = this,
+            pa = Constraint.world_point(this.a, this.anchor_a), pb = Constraint.world_point(this.b, this.anchor_b);
+        this.a.apply_impulse(impulse, pa);
+        this.b.apply_impulse(impulse.times(-1), pb);
+        this.a.apply_angular_impulse(angular_impulse);
+        this.b.apply_angular_impulse(angular_impulse.times(-1));
+        Object.assign(this, {impulse, angular_impulse});
+    }
+
+    strain() {
+        // strain(): How hard the constraint had to hold on this step, to compare with its break_impulse.
+        return Math.max(this.impulse.norm(), this.angular_impulse.norm());
+    }
+
+    solve(dt) {
+        // solve(): One pass of pushing the bodies towards obeying the constraint.  Override this.
+    }
+
+    push_apart(pa, pb, direction, target_speed) {
+        // push_apart(): Give bodies a and b equal and opposite impulses along direction, at world
+        // points pa and pb, so that a's point moves away from b's along it at target_speed.
+        const {a, b} = this, ra = pa.minus(a.center), rb = pb.minus(b.center),
+            ta = ra.cross(direction), tb = rb.cross(direction);
+        // How hard it is to change that relative speed, counting the masses and the resistance to spinning:
+        const effective_inverse_mass = a.inverse_mass() + b.inverse_mass()
+            + a.inverse_inertia_times(ta).dot(ta) + b.inverse_inertia_times(tb).dot(tb);
+        if (!effective_inverse_mass)
+            return;
+        const speed = a.velocity_at(pa).minus(b.velocity_at(pb)).dot(direction),
+            j = (target_speed - speed) / effective_inverse_mass;
+        a.apply_impulse(direction.times(j), pa);
+        b.apply_impulse(direction.times(-j), pb);
+        this.impulse = this.impulse.plus(direction.times(j));
+    }
+
+    twist_apart(direction, target_speed) {
+        // twist_apart(): Give bodies a and b equal and opposite angular impulses about direction, so
+        // that a spins relative to b about it at target_speed.
+        const {a, b} = this,
+            effective_inverse_inertia = a.inverse_inertia_times(direction).dot(direction)
+                + b.inverse_inertia_times(direction).dot(direction);
+        if (!effective_inverse_inertia)
+            return;
+        const speed = a.angular_velocity_vector().minus(b.angular_velocity_vector()).dot(direction),
+            j = (target_speed - speed) / effective_inverse_inertia;
+        a.apply_angular_impulse(direction.times(j));
+        b.apply_angular_impulse(direction.times(-j));
+        this.angular_impulse = this.angular_impulse.plus(direction.times(j));
+    }
+
+    to_json(bodies) {
+        // to_json(): Describe the constraint as plain data, naming its bodies by their places in the
+        // given list (-1 for the world).  Subclasses add their own settings.
+        const index = body => body === Constraint.world ? -1 : bodies.indexOf(body);
+        return {type: this.constructor.name, a: index(this.a), b: index(this.b), break_impulse: this.break_impulse,
+            impulse: this.impulse && [...this.impulse], angular_impulse: this.angular_impulse && [...this.angular_impulse]};
+    }
+
+    static from_json(data, bodies) {
+        // from_json(): Re-create a constraint from the output of to_json(), between bodies from the given list.
+        const constraint = Constraint.make_from_json(data, bodies);
+        for (let name of ["impulse", "angular_impulse"])
+            if (data[name])
+                constraint[name] = vec3(...data[name]);
+        return constraint;
+    }
+
+    static make_from_json(data, bodies) {
+        // (Internal helper function)
+        const body = i => i == -1 ? Constraint.world : bodies[i], vector = v => v && vec3(...v);
+        const {a, b, anchor_a, anchor_b, axis_a, axis_b, length, stiffness, damping} = data,
+            break_impulse = data.break_impulse === null ? Infinity : data.break_impulse;
+        switch (data.type) {
+            case "Distance_Constraint":
+                return new Distance_Constraint(body(a), vector(anchor_a), body(b), vector(anchor_b), length, break_impulse);
+            case "Ball_Socket_Constraint":
+                return new Ball_Socket_Constraint(body(a), vector(anchor_a), body(b), vector(anchor_b), break_impulse);
+            case "Weld_Constraint":
+                return new Weld_Constraint(body(a), vector(anchor_a), body(b), vector(anchor_b), break_impulse,
+                    data.relative_rotation && Quaternion.create(...data.relative_rotation));
+            case "Hinge_Constraint":
+                return new Hinge_Constraint(body(a), vector(anchor_a), vector(axis_a), body(b), vector(anchor_b),
+                    vector(axis_b), break_impulse);
+            case "Spring":
+                return new Spring(body(a), vector(anchor_a), body(b), vector(anchor_b), length, stiffness, damping,
+                    break_impulse);
+        }
+    }
+
+    static problems(data, body_count) {
+        // problems(): Check the output of to_json() before re-creating a constraint from it, since it can
+        // come from anywhere, given how many bodies there are.  Returns a list of what's wrong with it.
+        const problems = [], is_vector = v => Array.isArray(v) && v.length == 3 && v.every(x => typeof x == "number");
+        if (!data || !["Distance_Constraint", "Ball_Socket_Constraint", "Weld_Constraint", "Hinge_Constraint", "Spring"]
+            .includes(data.type))
+            return ["It needs a type of constraint."];
+        if (![data.a, data.b].every(i => Number.isInteger(i) && i >= -1 && i < body_count))
+            problems.push("Its bodies a and b need to be places in the list of bodies (or -1 for the world).");
+        if (!is_vector(data.anchor_a) || !is_vector(data.anchor_b))
+            problems.push("It needs anchors (anchor_a and anchor_b, each [x, y, z]).");
+        if (data.type == "Hinge_Constraint" && (!is_vector(data.axis_a) || !is_vector(data.axis_b)))
+            problems.push("It needs axes (axis_a and axis_b, each [x, y, z]).");
+        if (!(data.break_impulse === null || data.break_impulse >= 0))
+            problems.push("Its break_impulse needs to be a number, not below 0 (or null for unbreakable).");
+        for (let name of data.type == "Spring" ? ["length", "stiffness", "damping"]
+            : data.type == "Distance_Constraint" ? ["length"] : [])
+            if (!(typeof data[name] == "number" && data[name] >= 0))
+                problems.push("Its " + name + " needs to be a number, not below 0.");
+        for (let name of ["impulse", "angular_impulse", "relative_rotation"])
+            if (data[name] && !(Array.isArray(data[name]) && data[name].every(x => typeof x == "number")))
+                problems.push("Its " + name + " needs to be a list of numbers.");
+        return problems;
+    }
+}
+
+// The world is immovable, like static geometry:
+Constraint.world = new Static_Geometry();
+// How much of any gap that has opened up to close each step (the "Baumgarte" factor).  Closing all
+// of it at once would overshoot and jitter:
+Constraint.correction = .2;
+
+
+export class Distance_Constraint extends Constraint {
+    // **Distance_Constraint** keeps two anchors a fixed length apart, like a rigid rod with a ball joint
+    // at each end.  A row of bodies joined by these makes a chain.
+    constructor(a, anchor_a, b, anchor_b, length, break_impulse) {
+        super(a, b, break_impulse);
+        Object.assign(this, {anchor_a, anchor_b});
+        this.length = length === undefined
+            ? Constraint.world_point(a, anchor_a).minus(Constraint.world_point(this.b, anchor_b)).norm() : length;
+    }
+
+    prepare(dt) {
+        // The rod can only push or pull along itself, and it has turned since last step.  Keep just the
+        // part of last step's impulse along it now, or warm starting would keep adding the rest:
+        if (this.impulse) {
+            const offset = Constraint.world_point(this.a, this.anchor_a).minus(Constraint.world_point(this.b, this.anchor_b)),
+                direction = offset.norm() < 1E-9 ? vec3(0, 0, 0) : offset.normalized();
+            this.impulse = direction.times(this.impulse.dot(direction));
+        }
+        super.prepare(dt);
+    }
+
+    solve(dt) {
+        const pa = Constraint.world_point(this.a, this.anchor_a), pb = Constraint.world_point(this.b, this.anchor_b),
+            offset = pa.minus(pb), distance = offset.norm();
+        if (distance < 1E-9)
+            return;
+        this.push_apart(pa, pb, offset.times(1 / distance), -Constraint.correction * (distance - this.length) / dt);
+    }
+
+    to_json(bodies) {
+        return Object.assign(super.to_json(bodies),
+            {anchor_a: [...this.anchor_a], anchor_b: [...this.anchor_b], length: this.length});
+    }
+}
+
+
+export class Ball_Socket_Constraint extends Constraint {
+    // **Ball_Socket_Constraint** pins two anchors together, leaving the bodies free to turn any way
+    // about that point, like a shoulder.  Three of them spread out across the same joint weld two
+    // bodies together completely.
+    constructor(a, anchor_a, b, anchor_b, break_impulse) {
+        super(a, b, break_impulse);
+        Object.assign(this, {anchor_a, anchor_b});
+    }
+
+    solve(dt) {
+        // Close the gap along each axis in turn:
+        const pa = Constraint.world_point(this.a, this.anchor_a), pb = Constraint.world_point(this.b, this.anchor_b),
+            gap = pa.minus(pb);
+        for (let axis of [vec3(1, 0, 0), vec3(0, 1, 0), vec3(0, 0, 1)])
+            this.push_apart(pa, pb, axis, -Constraint.correction * gap.dot(axis) / dt);
+    }
+
+    to_json(bodies) {
+        return Object.assign(super.to_json(bodies), {anchor_a: [...this.anchor_a], anchor_b: [...this.anchor_b]});
+    }
+}
+
+
+export class Weld_Constraint extends Ball_Socket_Constraint {
+    // **Weld_Constraint** pins two anchors together like a ball and socket, and also holds the bodies
+    // turned the way they were relative to each other when it was made, so they move as one solid
+    // piece.  (Several ball and sockets spread across a joint would do that too, but they'd fight over
+    // how to share the load.)
+    constructor(a, anchor_a, b, anchor_b, break_impulse, relative_rotation) {
+        super(a, anchor_a, b, anchor_b, break_impulse);
+        this.relative_rotation = relative_rotation
+            || Constraint.rotation_of(this.b).conjugate().times(Constraint.rotation_of(a));
+    }
+
+    solve(dt) {
+        super.solve(dt);
+        // How far a has turned away from where it belongs, as one vector (along the axis, as long as
+        // the angle is small), and the spin that turns it back:
+        const error = Constraint.rotation_of(this.a)
+                .times(Constraint.rotation_of(this.b).times(this.relative_rotation).conjugate()),
+            misalignment = vec3(error[1], error[2], error[3]).times(error[0] < 0 ? -2 : 2);
+        for (let axis of [vec3(1, 0, 0), vec3(0, 1, 0), vec3(0, 0, 1)])
+            this.twist_apart(axis, -Constraint.correction * misalignment.dot(axis) / dt);
+    }
+
+    to_json(bodies) {
+        return Object.assign(super.to_json(bodies), {relative_rotation: [...this.relative_rotation]});
+    }
+}
+
+
+export class Hinge_Constraint extends Ball_Socket_Constraint {
+    // **Hinge_Constraint** pins two anchors together like a ball and socket, but also lines up an axis
+    // of each body (given in its own frame), so the bodies can only turn relative to each other about
+    // that one axis, like a door.
+    constructor(a, anchor_a, axis_a, b, anchor_b, axis_b, break_impulse) {
+        super(a, anchor_a, b, anchor_b, break_impulse);
+        Object.assign(this, {axis_a: axis_a.normalized(), axis_b: axis_b.normalized()});
+    }
+
+    world_axis(body, axis) {
+        // (Internal helper function)
+        return Constraint.rotation_of(body).rotate(axis);
+    }
+
+    prepare(dt) {
+        // The hinge never twists the bodies about its own axis, which has turned since last step.
+        // Drop that part of last step's angular impulse before warm starting with it:
+        if (this.angular_impulse) {
+            const wa = this.world_axis(this.a, this.axis_a);
+            this.angular_impulse = this.angular_impulse.minus(wa.times(this.angular_impulse.dot(wa)));
+        }
+        super.prepare(dt);
+    }
+
+    solve(dt) {
+        super.solve(dt);
+        // Stop any relative spin that isn't about the hinge, and turn the axes back into line if
+        // they've drifted apart.  Turning about wa x wb swings a's axis towards b's:
+        const wa = this.world_axis(this.a, this.axis_a), wb = this.world_axis(this.b, this.axis_b),
+            misalignment = wa.cross(wb),
+            u = wa.cross(Math.abs(wa[0]) < .9 ? vec3(1, 0, 0) : vec3(0, 1, 0)).normalized(), v = wa.cross(u);
+        for (let direction of [u, v])
+            this.twist_apart(direction, Constraint.correction * misalignment.dot(direction) / dt);
+    }
+
+    to_json(bodies) {
+        return Object.assign(super.to_json(bodies), {axis_a: [...this.axis_a], axis_b: [...this.axis_b]});
+    }
+}
+
+
+export class Spring extends Constraint {
+    // **Spring** pulls two anchors towards being "length" apart with a force proportional to how far
+    // off they are (Hooke's law), times its stiffness.  Damping resists the anchors' relative speed
+    // along the spring, so it settles down instead of bouncing forever.  Unlike the other constraints
+    // it's soft:  It only adds forces, once per step, and the anchors can stretch apart as far as
+    // those allow.
+    constructor(a, anchor_a, b, anchor_b, length = 0, stiffness = 50, damping = 2, break_impulse) {
+        super(a, b, break_impulse);
+        Object.assign(this, {anchor_a, anchor_b, length, stiffness, damping});
+    }
+
+    prepare(dt) {
+        // Springs don't solve, so there's nothing to warm start; they just apply their force once:
+        Object.assign(this, {impulse: vec3(0, 0, 0), angular_impulse: vec3(0, 0, 0)});
+        const pa = Constraint.world_point(this.a, this.anchor_a), pb = Constraint.world_point(this.b, this.anchor_b),
+            offset = pa.minus(pb), distance = offset.norm();
+        if (distance < 1E-9)
+            return;
+        const direction = offset.times(1 / distance),
+            speed = this.a.velocity_at(pa).minus(this.b.velocity_at(pb)).dot(direction),
+            force = direction.times(-this.stiffness * (distance - this.length) - this.damping * speed);
+        this.a.apply_force(force, pa);
+        this.b.apply_force(force.times(-1), pb);
+        this.impulse = force.times(dt);
+    }
+
+    to_json(bodies) {
+        return Object.assign(super.to_json(bodies), {
+            anchor_a: [...this.anchor_a], anchor_b: [...this.anchor_b],
+            length: this.length, stiffness: this.stiffness, damping: this.damping
+        });
+    }
+}
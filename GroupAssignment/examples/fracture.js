@@ -0,0 +1,126 @@
+import {tiny} from './common.js';
+// Pull these names into this module's scope for convenience:
+const {vec, vec3, Shape, Random} = tiny;
+
+export class Fragment_Shape extends Shape {
+    // **Fragment_Shape** is one convex chunk cut out of another Shape, given as a list of its faces
+    // (each a convex polygon of points, in the original shape's object space).  Its points get moved
+    // and stretched to span -1 to 1 along each axis like our other shapes, so that a Body can use its
+    // "size" the usual way.  "offset" and "extent" remember where in the original shape the chunk came
+    // from, and how far it reached along each axis, so that a fragment can be placed where it broke off.
+    constructor(faces) {
+        super("position", "normal", "texture_coord");
+        const points = faces.flat(),
+            min = points.reduce((m, p) => m.map((x, i) => Math.min(x, p[i])), vec3(Infinity, Infinity, Infinity)),
+            max = points.reduce((m, p) => m.map((x, i) => Math.max(x, p[i])), vec3(-Infinity, -Infinity, -Infinity));
+        this.offset = min.mix(max, .5);
+        this.extent = max.minus(min).times(.5);
+        const to_local = p => p.minus(this.offset).map((x, i) => x / this.extent[i]),
+            inside = points.reduce((acc, p) => acc.plus(to_local(p)), vec3(0, 0, 0)).times(1 / points.length);
+        // Flat shade each face as a fan of triangles, with its normal facing away from the inside:
+        for (let face of faces.map(f => f.map(to_local))) {
+            let normal = face[1].minus(face[0]).cross(face[2].minus(face[0])).normalized();
+            if (normal.dot(face[0].minus(inside)) < 0) {
+                face.reverse();
+                normal = normal.times(-1);
+            }
+            const first = this.arrays.position.length;
+            for (let p of face) {
+                this.arrays.position.push(p);
+                this.arrays.normal.push(normal);
+                this.arrays.texture_coord.push(vec((p[0] + 1) / 2, (p[1] + 1) / 2));
+            }
+            for (let i = 1; i + 1 < face.length; i++)
+                this.indices.push(first, first + i, first + i + 1);
+        }
+    }
+}
+
+
+export class Fracture {
+    // **Fracture** breaks a convex Shape (like a Subdivision_Sphere or a Cube) into convex chunks.  A
+    // handful of random "seed" points get scattered inside the shape, and each one claims the part of
+    // the shape closer to it than to any other seed -- its Voronoi cell.  Each cell is found by cutting
+    // the shape in half with the plane midway between its seed and each other seed, keeping the side
+    // towards its own seed.  Cutting a convex solid with a plane always leaves a convex solid.
+
+    static faces_of(shape) {
+        // faces_of(): The shape's triangles, as a list of faces for clip() to cut.
+        const p = shape.arrays.position, indices = shape.indices.length ? shape.indices : p.map((x, i) => i),
+            faces = [];
+        for (let i = 0; i + 2 < indices.length; i += 3) {
+            const face = [indices[i], indices[i + 1], indices[i + 2]].map(j => p[j]);
+            // Skip degenerate triangles; they have no surface:
+            if (face[1].minus(face[0]).cross(face[2].minus(face[0])).norm() > 1E-12)
+                faces.push(face);
+        }
+        return faces;
+    }
+
+    static clip(faces, normal, offset) {
+        // clip(): Cut a convex solid (given by its faces) with the plane normal . x = offset, keeping
+        // the part behind the plane.  Each face gets trimmed (Sutherland-Hodgman), and the hole left
+        // where the plane cut through gets closed with a new face, made of all the points along the cut.
+        const kept = [], cut = [], height = p => p.dot(normal) - offset;
+        for (let face of faces) {
+            const polygon = [];
+            face.forEach((p, i) => {
+                const q = face[(i + 1) % face.length], hp = height(p), hq = height(q);
+                if (hp <= 0)
+                    polygon.push(p);
+                if (hp == 0)
+                    cut.push(p);
+                if (hp < 0 && hq > 0 || hp > 0 && hq < 0) {
+                    const crossing = p.mix(q, hp / (hp - hq));
+                    polygon.push(crossing);
+                    cut.push(crossing);
+                }
+            });
+            if (polygon.length >= 3)
+                kept.push(polygon);
+        }
+        if (cut.length < 3)
+            return kept;
+        // Sort the points along the cut by their angle around its middle, dropping repeats:
+        const middle = cut.reduce((acc, p) => acc.plus(p), vec3(0, 0, 0)).times(1 / cut.length),
+            u = normal.cross(Math.abs(normal[0]) < .9 ? vec3(1, 0, 0) : vec3(0, 1, 0)).normalized(),
+            v = normal.cross(u),
+            angle = p => Math.atan2(p.minus(middle).dot(v), p.minus(middle).dot(u));
+        const cap = cut.sort((p, q) => angle(p) - angle(q))
+            .filter((p, i, sorted) => p.minus(sorted[(i + 1) % sorted.length]).norm() > 1E-6);
+        if (cap.length >= 3)
+            kept.push(cap);
+        return kept;
+    }
+
+    static split(shape, seeds) {
+        // split(): Cut the shape into one convex chunk per seed point, as lists of faces.
+        const faces = Fracture.faces_of(shape), chunks = [];
+        for (let seed of seeds) {
+            let cell = faces;
+            for (let other of seeds) {
+                if (other === seed || !cell.length)
+                    continue;
+                const normal = other.minus(seed).normalized();
+                cell = Fracture.clip(cell, normal, normal.dot(seed.mix(other, .5)));
+            }
+            if (cell.length >= 4)
+                chunks.push(cell);
+        }
+        return chunks;
+    }
+
+    static patterns(shape, count = 3, pieces = 6, seed = 1) {
+        // patterns(): Work out several different ways the shape can break, each as a list of
+        // Fragment_Shapes.  Every pattern draws its seed points from its own seeded generator, so the
+        // same arguments always yield the same chunks.  Chunks too thin to be worth a Body are dropped.
+        const result = [];
+        for (let i = 0; i < count; i++) {
+            const random = new Random(seed + i).next,
+                seeds = Array(pieces).fill(0).map(() => vec3(0, 0, 0).randomized(.7, random));
+            result.push(Fracture.split(shape, seeds).map(faces => new Fragment_Shape(faces))
+                .filter(chunk => Math.min(...chunk.extent) > .05));
+        }
+        return result;
+    }
+}
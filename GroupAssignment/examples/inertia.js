@@ -0,0 +1,35 @@
+import {defs, tiny} from './common.js';
+// Pull these names into this module's scope for convenience:
+const {vec3} = tiny;
+
+export class Inertia {
+    // **Inertia** works out how hard a body is to spin, and how its spin responds to being pushed.
+    // A body's resistance to turning about each axis is its inertia tensor.  In the body's own frame,
+    // for the solid, symmetric shapes we draw, that tensor is diagonal:  Three "principal moments" about
+    // the body's local x, y and z axes.  A body that tumbles carries angular momentum L, which only
+    // torque can change; its angular velocity is then w = I^-1 * L, where I is the tensor turned into
+    // world space.  So as an unevenly shaped body turns, its spin axis wobbles on its own, even with
+    // no torque at all, just like a real tumbling rock.
+
+    static principal_moments(shape, size, mass) {
+        // principal_moments(): The moments of inertia about the body's local axes, for a solid of the
+        // given mass filling the shape stretched by size.  Cubes span -1 to 1 (so size holds their
+        // half-widths), cylinders span -1/2 to 1/2 along z with radius 1, and anything else is
+        // approximated by the ellipsoid our colliders treat it as, whose semi-axes are size.
+        const [a, b, c] = size.map(x => x * x);
+        if (shape instanceof defs.Cube)
+            return vec3(b + c, a + c, a + b).times(mass / 3);
+        if (shape instanceof defs.Capped_Cylinder || shape instanceof defs.Cylindrical_Tube)
+            return vec3(b / 4 + c / 12, a / 4 + c / 12, (a + b) / 4).times(mass);
+        return vec3(b + c, a + c, a + b).times(mass / 5);
+    }
+
+    static world_times(rotation, moments, v) {
+        // world_times(): Multiply world space vector v by a body's tensor, given as its principal
+        // moments (or their inverses), at the orientation of unit quaternion "rotation".  That's
+        // R * diag(moments) * R^T * v:  Turn v into the body's frame, scale it there, and turn it back.
+        // Infinite moments (immovable bodies) times zero stay zero instead of becoming NaN.
+        const local = rotation.conjugate().rotate(v);
+        return rotation.rotate(local.map((x, i) => x && x * moments[i]));
+    }
+}
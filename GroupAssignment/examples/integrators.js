@@ -0,0 +1,49 @@
+export class Integrators {
+    // **Integrators** collects the numerical methods a Body can use to advance its center and linear
+    // velocity by one time step.  Each one reads the body's current acceleration through
+    // body.acceleration(center, linear_velocity), which counts the forces accumulated on the body this
+    // step (see Body.apply_force()) and any that depend on where it is or how fast it's going.
+    // Pass one of these functions to Body.advance(), the same way colliders pass around the tests
+    // Body.intersect_sphere() and Body.intersect_cube().
+
+    // They differ in accuracy and cost.  Forward Euler uses the old velocity to move, so it gains
+    // energy and drifts off of a true projectile arc.  Semi-implicit Euler updates the velocity first,
+    // which keeps orbits and bounces stable at the same cost.  Velocity Verlet averages the acceleration
+    // over the step, and is exact for constant forces like gravity.  RK4 samples four slopes per step,
+    // and is the most accurate when forces change within a step, at four times the cost.
+
+    static forward_euler(body, dt) {
+        const a = body.acceleration(body.center, body.linear_velocity);
+        body.center = body.center.plus(body.linear_velocity.times(dt));
+        body.linear_velocity = body.linear_velocity.plus(a.times(dt));
+    }
+
+    static semi_implicit_euler(body, dt) {
+        const a = body.acceleration(body.center, body.linear_velocity);
+        body.linear_velocity = body.linear_velocity.plus(a.times(dt));
+        body.center = body.center.plus(body.linear_velocity.times(dt));
+    }
+
+    static verlet(body, dt) {
+        // verlet(): Velocity Verlet.  Move using the current acceleration, then update the velocity
+        // using the average of the accelerations at the start and the end of the step.
+        const a = body.acceleration(body.center, body.linear_velocity);
+        body.center = body.center.plus(body.linear_velocity.times(dt)).plus(a.times(dt * dt / 2));
+        const next_a = body.acceleration(body.center, body.linear_velocity.plus(a.times(dt)));
+        body.linear_velocity = body.linear_velocity.plus(a.plus(next_a).times(dt / 2));
+    }
+
+    static rk4(body, dt) {
+        // rk4(): The classic fourth-order Runge-Kutta method.  Sample the slope (velocity and
+        // acceleration) at the start, twice at the midpoint, and at the end, then take a weighted average.
+        const x = body.center, v = body.linear_velocity,
+            slope = (x, v) => ({dx: v, dv: body.acceleration(x, v)});
+        const k1 = slope(x, v),
+            k2 = slope(x.plus(k1.dx.times(dt / 2)), v.plus(k1.dv.times(dt / 2))),
+            k3 = slope(x.plus(k2.dx.times(dt / 2)), v.plus(k2.dv.times(dt / 2))),
+            k4 = slope(x.plus(k3.dx.times(dt)), v.plus(k3.dv.times(dt)));
+        const average = key => k1[key].plus(k2[key].times(2)).plus(k3[key].times(2)).plus(k4[key]).times(1 / 6);
+        body.center = x.plus(average("dx").times(dt));
+        body.linear_velocity = v.plus(average("dv").times(dt));
+    }
+}
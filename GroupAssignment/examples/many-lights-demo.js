@@ -2,12 +2,11 @@ import {defs, tiny} from './common.js';
 // Pull these names into this module's scope for convenience:
 const {vec3, vec4, color, Mat4, Light, Shape, Material, Shader, Texture, Scene} = tiny;
 
-export class Many_Lights_Demo extends Scene {                             // **Many_Lights_Demo** demonstrates how to make the illusion that
-                                                                          // there are many lights, despite only passing two to the shader.
-                                                                          // We re-locate the lights in between individual shape draws.
-                                                                          // Doing this trick performs much faster than looping through a
-                                                                          // long list of lights within the fragment shader, none of which
-                                                                          // need to affect every single shape in the scene.
+export class Many_Lights_Demo extends Scene {                             // **Many_Lights_Demo** demonstrates a scene lit by dozens of
+                                                                          // moving lights at once.  Phong_Shader compiles a version of
+                                                                          // itself with room for all of them.  On a graphics card too
+                                                                          // small to hold that many, each box gets drawn with just the
+                                                                          // lights nearest to it instead.
     constructor() {
         super();
         // Define how many boxes (buildings) to draw:
@@ -32,26 +31,25 @@ export class Many_Lights_Demo extends Scene {                             // **M
             for (let column = 0; column < this.columns; column++)
                 this.box_positions.push(vec3(row, -2 - 2 * Math.random(), -column).randomized(1));
 
-        // The lights lists will function as a lookup table for the light in a current row and column:
         // Make initial light positions.  One light per row, and one light per column:
         for (let c = 0; c < this.columns; c++)
             this.row_lights    [~~(-c)] = vec3(2 * Math.random() * this.rows, -Math.random(), -c);
         for (let r = 0; r < this.rows; r++)
             this.column_lights [~~(r)] = vec3(r, -Math.random(), -2 * Math.random() * this.columns);
+        // Give each light a color of its own:
+        this.light_colors = new Map([...Object.values(this.row_lights).map(p => [p, color(Math.random(), 1, 1, 1)]),
+            ...Object.values(this.column_lights).map(p => [p, color(1, 1, Math.random(), 1)])]);
     }
 
     display(context, program_state) {                                         // display():  Draw each frame to animate the scene.
         program_state.set_camera(Mat4.look_at(vec3(this.rows / 2, 5, 5), vec3(this.rows / 2, 0, -4), vec3(0, 1, 0)));
         program_state.projection_transform = Mat4.perspective(Math.PI / 4, context.width / context.height, 1, 500);
 
-        // To draw each individual box, select the two lights sharing
-        // a row and column with it, and draw using those.
-        this.box_positions.forEach((p, i, a) => {
-            program_state.lights = [new Light(this.row_lights   [~~p[2]].to4(1), color(p[2] % 1, 1, 1, 1), 9),
-                new Light(this.column_lights[~~p[0]].to4(1), color(1, 1, p[0] % 1, 1), 9)];
-            // Draw the box:
-            this.shapes.cube.draw(context, program_state, Mat4.translation(...p).times(Mat4.scale(.3, 1, .3)), this.brick)
-        });
+        // Every light shines on every box:
+        program_state.lights = [...this.light_colors].map(([position, light_color]) =>
+            new Light(position.to4(1), light_color, 9));
+        this.box_positions.forEach(p =>
+            this.shapes.cube.draw(context, program_state, Mat4.translation(...p).times(Mat4.scale(.3, 1, .3)), this.brick));
         if (!program_state.animate || program_state.animation_delta_time > 500)
             return;
         // Move some lights forward along columns, then bound them to a range.
@@ -72,10 +70,8 @@ export class Many_Lights_Demo extends Scene {                             // **M
     }
 
     show_explanation(document_element) {
-        document_element.innerHTML += `<p>This demo shows how to make the illusion that there are many lights, despite the shader only being aware of two. The shader used here (class Phong_Shader) is told to take only two lights into account when coloring in a shape. This has the benefit of fewer lights that have to be looped through in the fragment shader, which has to run hundreds of thousands of times.
-
-    </p><p>You can get away with seemingly having more lights in your overall scene by having the lights only affect certain shapes, such that only two are influencing any given shape at a time.   We re-locate the lights in between individual shape draws. For this to look right, it helps for shapes to be aware of which lights are nearby versus which are too far away or too small for their effects to matter, so the best pair can be chosen.
+        document_element.innerHTML += `<p>This demo shows a scene lit by many lights at once -- one light per row of boxes, and one per column, all moving.  The shader used here (class Fake_Bump_Map, a kind of Phong_Shader) has to loop through every light in the fragment shader, which runs hundreds of thousands of times, so the number of lights gets written right into its GLSL code.  When a scene has more lights than that, the shader compiles another version of itself with room for them, rounding up to a power of two so that only a few versions ever get made.
 
-    </p><p>In this scene, one light exists per row and one per column, and a box simply looks up the lights it is sharing a row or column with.</p>`;
+    </p><p>Each light takes up some of the graphics card's uniform memory, and WebGL 1 only promises a little of it.  When there are more lights than fit, the shader falls back on drawing each shape with only the lights that shine on it the most -- here, the ones nearest to each box -- relocating the lights in between individual shape draws.  The many lights then become an illusion, but a convincing one, since lights that are too far away or too dim hardly matter anyway.</p>`;
     }
 }
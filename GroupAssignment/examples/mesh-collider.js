@@ -0,0 +1,160 @@
+import {tiny} from './common.js';
+import {Spatial_Hash} from './broad-phase.js';
+// Pull these names into this module's scope for convenience:
+const {vec3, Mat4} = tiny;
+
+export class Mesh_Collider {
+    // **Mesh_Collider** lets a Body collide against the actual triangles of a Shape (such as a model
+    // loaded by Shape_From_File) instead of against a stretched sphere around it.  It can be passed to
+    // Body.check_if_colliding() anywhere a collider entry is expected.  The Shape belongs to the body
+    // being hit ("b"); the body doing the testing ("a") is treated as its usual ellipsoid, the unit
+    // sphere under its drawn_location, so a stretched rock is still tested as stretched.
+
+    // The triangles are sorted once into a bounding volume hierarchy (BVH):  A binary tree of boxes where
+    // each node's box encloses all the triangles below it.  A query only descends into boxes that overlap
+    // the tested body, so out of the model's thousands of triangles usually just a handful get tested.
+
+    // When the two touch, contact_test() returns a contact {point, normal, depth} in world space:
+    // "normal" is the outward surface normal of the triangle nearest a's center, and "depth" is how far
+    // a's ellipsoid reaches past that triangle's plane.  Both keep pushing a back out even once its
+    // center has passed through the surface.  Otherwise it returns false.
+    constructor(shape, leeway = 0, triangles_per_leaf = 8) {
+        Object.assign(this, {shape, leeway, triangles_per_leaf, points: shape});
+    }
+
+    ready() {
+        // ready(): The BVH gets built the first time it's needed after the Shape has finished
+        // loading.  Until then (Shape_From_File downloads asynchronously) nothing collides.
+        if (!this.root && this.shape.arrays.position.length)
+            this.build();
+        return !!this.root;
+    }
+
+    local_bounds() {
+        // local_bounds(): The object-space box {center, extent} around the whole mesh, in the form
+        // that Spatial_Hash expects as a body's "local_bounds".
+        if (!this.ready())
+            return undefined;
+        const {min, max} = this.root;
+        return {center: min.mix(max, .5), extent: max.minus(min).times(.5)};
+    }
+
+    build() {
+        // build():  Gather the triangles and recursively split them into the BVH.
+        // Each triangle's normal faces out the way its winding says, unless the shape's own vertex
+        // normals there say otherwise (models aren't always wound consistently):
+        const p = this.shape.arrays.position, n = this.shape.arrays.normal || [],
+            indices = this.shape.indices.length ? this.shape.indices : p.map((x, i) => i);
+        this.triangles = [];
+        for (let i = 0; i + 2 < indices.length; i += 3) {
+            const corners = [indices[i], indices[i + 1], indices[i + 2]], [a, b, c] = corners.map(j => p[j]),
+                normal = b.minus(a).cross(c.minus(a));
+            // Skip degenerate triangles; they have no surface to hit:
+            if (normal.norm() < 1E-12)
+                continue;
+            if (n.length && corners.reduce((sum, j) => sum.plus(n[j]), vec3(0, 0, 0)).dot(normal) < 0)
+                normal.scale_by(-1);
+            this.triangles.push({a, b, c, normal: normal.normalized(), centroid: a.plus(b).plus(c).times(1 / 3)});
+        }
+        this.root = this.triangles.length ? this.build_node(this.triangles) : undefined;
+    }
+
+    build_node(triangles) {
+        // (Internal helper function)  Box the given triangles, then split them in half along the
+        // box's longest axis (at the median centroid) until few enough remain for a leaf.
+        const min = vec3(Infinity, Infinity, Infinity), max = vec3(-Infinity, -Infinity, -Infinity);
+        for (let t of triangles)
+            for (let v of [t.a, t.b, t.c])
+                for (let i = 0; i < 3; i++) {
+                    min[i] = Math.min(min[i], v[i]);
+                    max[i] = Math.max(max[i], v[i]);
+                }
+        if (triangles.length <= this.triangles_per_leaf)
+            return {min, max, triangles};
+        const size = max.minus(min), axis = size.indexOf(Math.max(...size));
+        triangles.sort((s, t) => s.centroid[axis] - t.centroid[axis]);
+        const half = triangles.length >> 1;
+        return {min, max, children: [this.build_node(triangles.slice(0, half)), this.build_node(triangles.slice(half))]};
+    }
+
+    query(box) {
+        // query(): Every triangle whose node's box overlaps the given object-space box {min, max}.
+        const found = [], stack = [this.root];
+        while (stack.length) {
+            const node = stack.pop();
+            if (!Spatial_Hash.boxes_overlap(node, box))
+                continue;
+            if (node.triangles)
+                found.push(...node.triangles);
+            else
+                stack.push(...node.children);
+        }
+        return found;
+    }
+
+    static closest_point_on_triangle(p, a, b, c) {
+        // closest_point_on_triangle(): Find the point of triangle abc nearest to point p, by working
+        // out which Voronoi region (a vertex, an edge, or the face) of the triangle p falls into.
+        // This follows Christer Ericson's "Real-Time Collision Detection", section 5.1.5.
+        const ab = b.minus(a), ac = c.minus(a), ap = p.minus(a);
+        const d1 = ab.dot(ap), d2 = ac.dot(ap);
+        if (d1 <= 0 && d2 <= 0) return a;
+        const bp = p.minus(b), d3 = ab.dot(bp), d4 = ac.dot(bp);
+        if (d3 >= 0 && d4 <= d3) return b;
+        const vc = d1 * d4 - d3 * d2;
+        if (vc <= 0 && d1 >= 0 && d3 <= 0) return a.plus(ab.times(d1 / (d1 - d3)));
+        const cp = p.minus(c), d5 = ab.dot(cp), d6 = ac.dot(cp);
+        if (d6 >= 0 && d5 <= d6) return c;
+        const vb = d5 * d2 - d1 * d6;
+        if (vb <= 0 && d2 >= 0 && d6 <= 0) return a.plus(ac.times(d2 / (d2 - d6)));
+        const va = d3 * d6 - d5 * d4;
+        if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0)
+            return b.plus(c.minus(b).times((d4 - d3) / ((d4 - d3) + (d5 - d6))));
+        const denominator = 1 / (va + vb + vc);
+        return a.plus(ab.times(vb * denominator)).plus(ac.times(vc * denominator));
+    }
+
+    contact_test(a, b, leeway = this.leeway) {
+        // contact_test(): Test body a's ellipsoid against the triangles of body b's mesh.
+        if (!this.ready())
+            return false;
+        const a_inverse = a.inverse || Mat4.inverse(a.drawn_location),
+            b_inverse = Mat4.inverse(b.drawn_location),
+            radius = Math.sqrt(1 + leeway);
+        // Broad phase within the mesh:  Box a's ellipsoid in b's object space and query the BVH.
+        const box = Spatial_Hash.bounding_box(b_inverse.times(a.drawn_location), undefined, radius);
+        const candidates = this.query(box);
+        if (!candidates.length)
+            return false;
+
+        // Narrow phase:  Bring the candidate triangles into a's frame, where a is a unit sphere
+        // (plus leeway) at the origin, and find the triangle that comes closest to its center.
+        const to_a = a_inverse.times(b.drawn_location), to_a_frame = v => to_a.times(v.to4(1)).to3();
+        const origin = vec3(0, 0, 0);
+        let deepest;
+        for (let t of candidates) {
+            const closest = Mesh_Collider.closest_point_on_triangle(origin,
+                to_a_frame(t.a), to_a_frame(t.b), to_a_frame(t.c));
+            const distance = closest.norm();
+            if (distance < radius && (!deepest || distance < deepest.distance))
+                deepest = {triangle: t, closest, distance};
+        }
+        if (!deepest)
+            return false;
+
+        // Convert the result back to world space.  Normals transform by the inverse transpose:
+        const {triangle, closest} = deepest,
+            point = a.drawn_location.times(closest.to4(1)).to3(),
+            normal = b_inverse.transposed().times(triangle.normal.to4(0)).to3().normalized();
+        // How far a's ellipsoid reaches past the triangle's plane:  Its reach from its center against
+        // the normal, less its center's height above the plane (which is below 0 once it's through).
+        // The ellipsoid is the drawn_location's linear part applied to a sphere, so the reach along the
+        // normal is the length of that part's transpose times the normal:
+        const center = a.drawn_location.times(origin.to4(1)).to3(),
+            reach = radius * a.drawn_location.transposed().times(normal.to4(0)).to3().norm(),
+            depth = reach - center.minus(point).dot(normal);
+        if (depth <= 0)
+            return false;
+        return {point, normal, depth};
+    }
+}
@@ -79,7 +79,9 @@ export class Mouse_Demo extends Scene {
 
         this.initial_camera_location = Mat4.look_at(vec3(0, 10, 20), vec3(0, 0, 0), vec3(0, 1, 0));
 
-        this.animation_queue = [];
+        // Each teapot thrown by a click gets tweened along on the timeline:
+        this.timeline = new defs.Timeline();
+        this.bullets = [];
     }
 
     make_control_panel() {
@@ -104,15 +106,15 @@ export class Mouse_Demo extends Scene {
         // console.log(pos_world_far);
         //
         // Do whatever you want
-        let animation_bullet = {
-            from: center_world_near,
-            to: pos_world_far,
-            start_time: program_state.animation_time,
-            end_time: program_state.animation_time + 5000,
-            more_info: "add gravity"
-        }
-
-        this.animation_queue.push(animation_bullet)
+        // The teapot flies from the camera towards the clicked point for 5 seconds, spinning, while
+        // gravity pulls it down by 1/2 g t^2 -- which is a quadratic ease-in over the same 5 seconds.
+        const bullet = {position: center_world_near, drop: 0, angle: 0}, seconds = 5;
+        this.bullets.push(bullet);
+        this.timeline.play(new defs.Parallel([
+            new defs.Tween(bullet, "position", pos_world_far, seconds * 1000),
+            new defs.Tween(bullet, "drop", 0.5 * 9.8 * seconds ** 2, seconds * 1000, {ease: defs.Easing.ease_in}),
+            new defs.Tween(bullet, "angle", 50, seconds * 1000)
+        ], {on_complete: () => this.bullets.splice(this.bullets.indexOf(bullet), 1)}), program_state.animation_time);
     }
 
     display(context, program_state) {
@@ -169,38 +171,11 @@ export class Mouse_Demo extends Scene {
         // this.shapes.triangle.draw(context, program_state, Mat4.translation(-5, 0, -5), this.materials.basic);
         // this.shapes.triangle.draw(context, program_state, Mat4.translation(0, 3, 0), this.materials.mybasic);
 
-        let t = program_state.animation_time;
-        if (this.animation_queue.length > 0) {
-            for (let i = 0; i < this.animation_queue.length; i++) {
-                let animation_bullet = this.animation_queue[i];
-
-                let from = animation_bullet.from;
-                let to = animation_bullet.to;
-                let start_time = animation_bullet.start_time;
-                let end_time = animation_bullet.end_time;
-
-                if (t <= end_time && t >= start_time) {
-                    let animation_process = (t - start_time) / (end_time - start_time);
-                    let position = to.times(animation_process).plus(from.times(1 - animation_process));
-
-                    if (animation_bullet.more_info === "add gravity") {
-                        position[1] -= 0.5 * 9.8 * ((t - start_time) / 1000) ** 2;
-                    }
-
-                    let model_trans = Mat4.translation(position[0], position[1], position[2])
-                        .times(Mat4.rotation(animation_process * 50, .3, .6, .2))
-                    this.shapes.teapot.draw(context, program_state, model_trans, this.materials.texture);
-                }
-            }
-        }
-        // remove finished animation
-        while (this.animation_queue.length > 0) {
-            if (t > this.animation_queue[0].end_time) {
-                this.animation_queue.shift();
-            }
-            else {
-                break;
-            }
+        this.timeline.update(program_state.animation_time);
+        for (let bullet of this.bullets) {
+            const model_trans = Mat4.translation(bullet.position[0], bullet.position[1] - bullet.drop, bullet.position[2])
+                .times(Mat4.rotation(bullet.angle, .3, .6, .2));
+            this.shapes.teapot.draw(context, program_state, model_trans, this.materials.texture);
         }
     }
 }
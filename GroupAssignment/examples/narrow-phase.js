@@ -0,0 +1,409 @@
+import {defs, tiny} from './common.js';
+// Pull these names into this module's scope for convenience:
+const {vec3, Mat4} = tiny;
+
+// This file holds analytic narrow-phase colliders.  Instead of checking every vertex of a stand-in
+// shape against intersect_sphere() or intersect_cube(), each one works out exactly (or to within a
+// small tolerance) whether two bodies' volumes overlap, and by how much.  They all plug into the
+// same colliders lists as the point-based ones:  Body.check_if_colliding() calls their contact_test()
+// and gets back a contact {point, normal, depth} in world space, with the normal pointing from body b
+// towards body a, or false when they don't touch.  As with the point-based colliders, body a's volume
+// is grown by "leeway", and "points" is a Shape that scenes can draw to show the collision volume.
+
+export class Narrow_Phase {
+    // **Narrow_Phase** holds math shared by the analytic colliders below:  Reading a body's frame off of
+    // its drawn_location, support functions, and the GJK and EPA algorithms for general convex shapes.
+
+    static frame(body) {
+        // frame(): A body's center, plus the world-space images of its local x, y and z axes (the columns
+        // of its drawn_location).  Our basic shapes span -1 to 1 along each of those axes.
+        const m = body.drawn_location;
+        return {
+            center: vec3(m[0][3], m[1][3], m[2][3]),
+            axes: [0, 1, 2].map(j => vec3(m[0][j], m[1][j], m[2][j]))
+        };
+    }
+
+    static ellipsoid_support(body, direction, scale = 1) {
+        // ellipsoid_support(): The point of a body's ellipsoid (its drawn unit sphere, grown by scale)
+        // farthest along a direction.  For the ellipsoid x = c + A*u with |u| <= 1, that's c + A*A^T*d / |A^T*d|.
+        const {center, axes} = Narrow_Phase.frame(body),
+            stretched = vec3(...axes.map(axis => axis.dot(direction))), length = stretched.norm();
+        if (length < 1E-12)
+            return center;
+        return axes.reduce((acc, axis, i) => acc.plus(axis.times(scale * stretched[i] / length)), center);
+    }
+
+    static symmetric_eigen(m) {
+        // symmetric_eigen(): Diagonalize a symmetric 3x3 matrix (given as rows) with Jacobi rotations.
+        // Returns its eigenvalues, and a matrix whose columns are the matching unit eigenvectors.
+        const a = m.map(row => [...row]), v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+        for (let sweep = 0; sweep < 16; sweep++)
+            for (let [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+                if (Math.abs(a[p][q]) < 1E-15)
+                    continue;
+                // Pick the rotation in the p,q plane that zeroes out entry (p, q):
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]),
+                    t = (theta < 0 ? -1 : 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1)),
+                    c = 1 / Math.sqrt(t * t + 1), s = t * c;
+                const rotate_columns = x => {
+                    for (let k = 0; k < 3; k++) {
+                        const xp = x[k][p], xq = x[k][q];
+                        x[k][p] = c * xp - s * xq;
+                        x[k][q] = s * xp + c * xq;
+                    }
+                };
+                rotate_columns(a);
+                rotate_columns(v);
+                for (let k = 0; k < 3; k++) {
+                    const ap = a[p][k], aq = a[q][k];
+                    a[p][k] = c * ap - s * aq;
+                    a[q][k] = s * ap + c * aq;
+                }
+            }
+        return {values: [a[0][0], a[1][1], a[2][2]], vectors: v};
+    }
+
+    static gjk(support, direction = vec3(1, 0, 0)) {
+        // gjk(): The Gilbert-Johnson-Keerthi algorithm.  Decide whether two convex shapes overlap, given
+        // a support function for their Minkowski difference A - B (which returns, for a direction d, the
+        // object {point, a, b} where a and b are the farthest points of each shape along d and -d, and
+        // point = a - b).  The shapes overlap exactly when A - B contains the origin, so GJK grows a
+        // simplex of support points towards the origin until it either encloses it, or finds a
+        // direction that proves it can't.  Returns the enclosing tetrahedron, or undefined.
+        let simplex = [support(direction)];
+        direction = simplex[0].point.times(-1);
+        for (let i = 0; i < 64; i++) {
+            if (direction.norm() < 1E-12)
+                // The origin lies right on the simplex; the shapes only just touch.
+                return undefined;
+            const next = support(direction);
+            if (next.point.dot(direction) < 0)
+                return undefined;
+            simplex.unshift(next);
+            const result = Narrow_Phase.nearest_simplex(simplex);
+            if (!result)
+                return simplex;
+            ({simplex, direction} = result);
+        }
+        return undefined;
+    }
+
+    static nearest_simplex(simplex) {
+        // (Internal helper function)  Reduce the simplex (newest point first) to the feature nearest the
+        // origin, and return it with the next direction to search in.  Returns undefined once a
+        // tetrahedron contains the origin.
+        const [A] = simplex, AO = A.point.times(-1);
+        const line = (A, B) => {
+            const AB = B.point.minus(A.point);
+            if (AB.dot(AO) <= 0)
+                return {simplex: [A], direction: AO};
+            let direction = AB.cross(AO).cross(AB);
+            // When the origin is right on the line, any perpendicular direction will do:
+            if (direction.norm() < 1E-12)
+                direction = AB.cross(Math.abs(AB[0]) < .9 ? vec3(1, 0, 0) : vec3(0, 1, 0));
+            return {simplex: [A, B], direction};
+        };
+        const triangle = (A, B, C) => {
+            const AB = B.point.minus(A.point), AC = C.point.minus(A.point), ABC = AB.cross(AC);
+            if (ABC.cross(AC).dot(AO) > 0)
+                return AC.dot(AO) > 0 ? {simplex: [A, C], direction: AC.cross(AO).cross(AC)} : line(A, B);
+            if (AB.cross(ABC).dot(AO) > 0)
+                return line(A, B);
+            return ABC.dot(AO) > 0 ? {simplex: [A, B, C], direction: ABC}
+                : {simplex: [A, C, B], direction: ABC.times(-1)};
+        };
+        if (simplex.length == 2)
+            return line(...simplex);
+        if (simplex.length == 3)
+            return triangle(...simplex);
+        // Tetrahedron:  Check each face that includes the new point A, with its normal turned away
+        // from the opposite point.  If the origin is outside of none of them, it's enclosed.
+        const [, B, C, D] = simplex;
+        for (let [X, Y, Z] of [[B, C, D], [C, D, B], [D, B, C]]) {
+            let normal = X.point.minus(A.point).cross(Y.point.minus(A.point));
+            if (normal.dot(Z.point.minus(A.point)) > 0)
+                normal = normal.times(-1);
+            if (normal.dot(AO) > 0)
+                return triangle(A, X, Y);
+        }
+        return undefined;
+    }
+
+    static epa(support, simplex, tolerance = 1E-4) {
+        // epa(): The Expanding Polytope Algorithm.  Starting from GJK's tetrahedron inside A - B, keep
+        // pushing out the face nearest the origin towards the true boundary of A - B.  Once it can't be
+        // pushed any farther, that face's distance is the penetration depth, and its normal n the
+        // direction to separate along (moving A by -depth*n separates them).  Also returns the contact
+        // points on both shapes, found by carrying the face's barycentric coordinates over to them.
+        const vertices = [...simplex], faces = [],
+            // A point safely inside the polytope, for telling which way faces should point.  (The origin
+            // won't do, since it can lie right on one of GJK's faces when the shapes line up neatly.)
+            interior = simplex.reduce((acc, s) => acc.plus(s.point), vec3(0, 0, 0)).times(1 / simplex.length);
+        const add_face = (i, j, k) => {
+            const [a, b, c] = [i, j, k].map(index => vertices[index].point);
+            let normal = b.minus(a).cross(c.minus(a));
+            const area = normal.norm();
+            if (area < 1E-12)
+                return faces.push({indices: [i, j, k], normal: vec3(0, 0, 0), distance: Infinity});
+            normal = normal.times(1 / area);
+            if (normal.dot(a.minus(interior)) < 0) {
+                normal = normal.times(-1);
+                [j, k] = [k, j];
+            }
+            faces.push({indices: [i, j, k], normal, distance: normal.dot(a)});
+        };
+        for (let [i, j, k] of [[0, 1, 2], [0, 3, 1], [0, 2, 3], [1, 3, 2]])
+            add_face(i, j, k);
+
+        let nearest;
+        for (let iteration = 0; iteration < 64; iteration++) {
+            nearest = faces.reduce((best, face) => face.distance < best.distance ? face : best);
+            const next = support(nearest.normal);
+            if (next.point.dot(nearest.normal) - nearest.distance < tolerance)
+                break;
+            // Remove every face the new point can see, remembering the edges around the hole:
+            const edges = [];
+            for (let f = faces.length - 1; f >= 0; f--) {
+                const face = faces[f];
+                if (face.normal.dot(next.point.minus(vertices[face.indices[0]].point)) <= 0)
+                    continue;
+                for (let e = 0; e < 3; e++) {
+                    const edge = [face.indices[e], face.indices[(e + 1) % 3]],
+                        twin = edges.findIndex(([i, j]) => i == edge[1] && j == edge[0]);
+                    // An edge shared by two removed faces is inside the hole, not on its rim:
+                    if (twin >= 0)
+                        edges.splice(twin, 1);
+                    else
+                        edges.push(edge);
+                }
+                faces.splice(f, 1);
+            }
+            // Patch the hole with new faces fanning out from the new point:
+            vertices.push(next);
+            for (let [i, j] of edges)
+                add_face(i, j, vertices.length - 1);
+            if (!faces.length)
+                return undefined;
+        }
+        if (!nearest || nearest.distance == Infinity)
+            return undefined;
+
+        // Barycentric coordinates of the origin's projection onto the nearest face:
+        const [u, v, w] = nearest.indices.map(index => vertices[index]),
+            p = nearest.normal.times(nearest.distance),
+            v0 = v.point.minus(u.point), v1 = w.point.minus(u.point), v2 = p.minus(u.point),
+            d00 = v0.dot(v0), d01 = v0.dot(v1), d11 = v1.dot(v1), d20 = v2.dot(v0), d21 = v2.dot(v1),
+            denominator = d00 * d11 - d01 * d01;
+        const [l1, l2] = Math.abs(denominator) > 1E-12
+            ? [(d11 * d20 - d01 * d21) / denominator, (d00 * d21 - d01 * d20) / denominator] : [0, 0];
+        const blend = key => u[key].times(1 - l1 - l2).plus(v[key].times(l1)).plus(w[key].times(l2));
+        return {normal: nearest.normal, depth: nearest.distance, a: blend("a"), b: blend("b")};
+    }
+}
+
+
+export class Sphere_Collider {
+    // **Sphere_Collider** treats each body as the smallest sphere around its stretched unit sphere
+    // (with radius equal to its longest axis).  Crude, but it's the cheapest test there is.
+    constructor(leeway = 0) {
+        Object.assign(this, {leeway, points: new defs.Subdivision_Sphere(3)});
+    }
+
+    contact_test(a, b, leeway = this.leeway) {
+        const radius = (body, scale) => scale * Math.max(...Narrow_Phase.frame(body).axes.map(axis => axis.norm()));
+        const ra = radius(a, Math.sqrt(1 + leeway)), rb = radius(b, 1),
+            offset = Narrow_Phase.frame(a).center.minus(Narrow_Phase.frame(b).center), distance = offset.norm();
+        if (distance >= ra + rb)
+            return false;
+        const normal = distance > 1E-9 ? offset.times(1 / distance) : vec3(0, 1, 0), depth = ra + rb - distance;
+        return {point: Narrow_Phase.frame(b).center.plus(normal.times(rb - depth / 2)), normal, depth};
+    }
+}
+
+
+export class Ellipsoid_Collider {
+    // **Ellipsoid_Collider** tests the same stretched spheres as the point-based colliders, but exactly.
+    // In body a's frame, a is a sphere at the origin and b is some ellipsoid, so the question becomes
+    // how close that ellipsoid comes to the origin.  That's found in the frame of the ellipsoid's own
+    // principal axes, by solving for the closest point on its surface (following David Eberly's "Distance
+    // from a Point to an Ellipse, an Ellipsoid, or a Hyperellipsoid").
+    constructor(leeway = 0) {
+        Object.assign(this, {leeway, points: new defs.Subdivision_Sphere(3)});
+    }
+
+    static closest_point_on_ellipsoid(semi_axes, y) {
+        // closest_point_on_ellipsoid(): For an axis-aligned ellipsoid centered at the origin, find
+        // the surface point closest to a point y outside it.  The answer is x_i = e_i^2 y_i / (t + e_i^2)
+        // for the one t >= 0 putting x on the surface, which we find by bisection.
+        const e2 = semi_axes.map(e => e * e),
+            outside = t => e2.reduce((sum, e, i) => sum + (semi_axes[i] * y[i] / (t + e)) ** 2, 0) - 1;
+        let low = 0, high = Math.max(...semi_axes) * y.norm();
+        for (let i = 0; i < 64; i++) {
+            const middle = (low + high) / 2;
+            if (outside(middle) > 0)
+                low = middle;
+            else
+                high = middle;
+        }
+        return vec3(...e2.map((e, i) => e * y[i] / (high + e)));
+    }
+
+    contact_test(a, b, leeway = this.leeway) {
+        const a_inverse = a.inverse || Mat4.inverse(a.drawn_location),
+            T = a_inverse.times(b.drawn_location), radius = Math.sqrt(1 + leeway);
+        // b's ellipsoid in a's frame is x = c + L*u, with |u| <= 1.  Its principal axes are the
+        // eigenvectors of L*L^T, and the lengths of its semi-axes the square roots of the eigenvalues.
+        const c = vec3(T[0][3], T[1][3], T[2][3]),
+            L_LT = [0, 1, 2].map(i => [0, 1, 2].map(j => T[i][0] * T[j][0] + T[i][1] * T[j][1] + T[i][2] * T[j][2])),
+            {values, vectors} = Narrow_Phase.symmetric_eigen(L_LT),
+            semi_axes = values.map(value => Math.sqrt(Math.max(value, 1E-12))),
+            axes = [0, 1, 2].map(j => vec3(vectors[0][j], vectors[1][j], vectors[2][j]));
+        // Express a's center (the origin) in the ellipsoid's principal frame:
+        const y = vec3(...axes.map(axis => -axis.dot(c)));
+        if (y.reduce((sum, y_i, i) => sum + (y_i / semi_axes[i]) ** 2, 0) <= 1)
+            return Ellipsoid_Collider.deep_contact(a, b, radius);
+        const local = Ellipsoid_Collider.closest_point_on_ellipsoid(semi_axes, y),
+            closest = axes.reduce((acc, axis, i) => acc.plus(axis.times(local[i])), c), distance = closest.norm();
+        if (distance >= radius)
+            return false;
+        // Convert back to world space, measuring the depth between the two surfaces along the
+        // line from the contact point to a's center:
+        const to_world = v => a.drawn_location.times(v.to4(1)).to3(),
+            point = to_world(closest), a_center = to_world(vec3(0, 0, 0)),
+            surface = to_world(closest.times(radius / distance));
+        return {point, normal: a_center.minus(point).normalized(), depth: surface.minus(point).norm()};
+    }
+
+    static deep_contact(a, b, radius) {
+        // (Internal helper function)  When a's center is inside of b's ellipsoid, there's no closest point
+        // to speak of.  Push them apart along the line between their centers instead, by however much
+        // their extents along that line overlap.
+        const a_center = Narrow_Phase.frame(a).center, b_center = Narrow_Phase.frame(b).center,
+            offset = a_center.minus(b_center),
+            normal = offset.norm() > 1E-9 ? offset.normalized() : vec3(0, 1, 0),
+            a_reach = a_center.minus(Narrow_Phase.ellipsoid_support(a, normal.times(-1), radius)).dot(normal),
+            b_reach = Narrow_Phase.ellipsoid_support(b, normal).minus(b_center).dot(normal),
+            depth = a_reach + b_reach - offset.dot(normal);
+        return {point: a_center.minus(normal.times(a_reach - depth / 2)), normal, depth};
+    }
+}
+
+
+export class Box_Collider {
+    // **Box_Collider** treats each body as the oriented box (OBB) around its drawn unit cube, and
+    // tests two of them with the separating axis theorem:  Two convex shapes are apart exactly when
+    // some axis exists along which their shadows don't overlap.  For boxes, only fifteen axes need
+    // checking:  The three face normals of each box, and the cross products of their edges.  If all
+    // fifteen shadows overlap, the one that overlaps least is the direction to push them apart.
+    constructor(leeway = 0) {
+        Object.assign(this, {leeway, points: new defs.Cube()});
+    }
+
+    static box(body, scale = 1) {
+        // box(): A body's OBB, as its center, unit axes, half-widths along them and corners.
+        const {center, axes} = Narrow_Phase.frame(body),
+            box = {center, axes: axes.map(axis => axis.normalized()), half: axes.map(axis => scale * axis.norm())};
+        box.corners = [];
+        for (let i of [-1, 1]) for (let j of [-1, 1]) for (let k of [-1, 1])
+            box.corners.push(center.plus(box.axes[0].times(i * box.half[0]))
+                .plus(box.axes[1].times(j * box.half[1])).plus(box.axes[2].times(k * box.half[2])));
+        return box;
+    }
+
+    static feature(box, direction) {
+        // feature(): The corners of a box that are (nearly) farthest along a direction.  That's one
+        // corner, an edge's two, or a face's four, depending on how the box is turned.
+        const reach = box.corners.map(p => p.dot(direction)), farthest = Math.max(...reach),
+            tolerance = .02 * (box.half[0] + box.half[1] + box.half[2]);
+        return box.corners.filter((p, i) => reach[i] > farthest - tolerance);
+    }
+
+    contact_test(a, b, leeway = this.leeway) {
+        const A = Box_Collider.box(a, 1 + leeway), B = Box_Collider.box(b),
+            offset = A.center.minus(B.center),
+            radius = (box, axis) => box.axes.reduce((sum, u, i) => sum + box.half[i] * Math.abs(u.dot(axis)), 0);
+        const axes = [...A.axes, ...B.axes];
+        for (let u of A.axes)
+            for (let v of B.axes) {
+                const cross = u.cross(v);
+                // Parallel edges give no new axis:
+                if (cross.norm() > 1E-6)
+                    axes.push(cross.normalized());
+            }
+        let best;
+        for (let [i, axis] of axes.entries()) {
+            const distance = offset.dot(axis), overlap = radius(A, axis) + radius(B, axis) - Math.abs(distance);
+            if (overlap <= 0)
+                return false;
+            // Slightly prefer face axes, whose contacts are more stable than edge-edge ones:
+            const score = i < 6 ? overlap : overlap * 1.05 + 1E-4;
+            if (!best || score < best.score)
+                best = {score, depth: overlap, normal: distance < 0 ? axis.times(-1) : axis};
+        }
+        // Take the contact point from whichever touching feature is smaller (a corner landing on a
+        // face, say), or halfway between two features of the same kind:
+        const {normal, depth} = best,
+            average = points => points.reduce((acc, p) => acc.plus(p), vec3(0, 0, 0)).times(1 / points.length),
+            a_feature = Box_Collider.feature(A, normal.times(-1)), b_feature = Box_Collider.feature(B, normal);
+        const point = a_feature.length < b_feature.length ? average(a_feature)
+            : b_feature.length < a_feature.length ? average(b_feature)
+                : average(a_feature).mix(average(b_feature), .5);
+        return {point, normal, depth};
+    }
+}
+
+
+export class Hull_Collider {
+    // **Hull_Collider** collides the convex hulls of the bodies' actual drawn shapes, using GJK to detect
+    // overlap and EPA to measure it.  Neither needs the hull built explicitly:  Both only ever ask for
+    // the vertex farthest along some direction, which is a simple search over the shape's vertices.
+    // So unlike the other colliders, "points" is left empty; each body is drawn as its own hull.
+    constructor(leeway = 0) {
+        Object.assign(this, {leeway, vertex_cache: new WeakMap()});
+    }
+
+    vertices(shape) {
+        // vertices(): A shape's distinct vertex positions.  Flat-shaded shapes repeat each corner once per
+        // face, so merge duplicates once and remember the result.
+        if (!this.vertex_cache.has(shape)) {
+            const unique = new Map();
+            for (let p of shape.arrays.position)
+                unique.set(p.map(x => Math.round(x * 1E4)).join(), p);
+            this.vertex_cache.set(shape, [...unique.values()]);
+        }
+        return this.vertex_cache.get(shape);
+    }
+
+    support(body, direction, scale = 1) {
+        // support(): The world-space vertex of a body's (scaled) shape that's farthest along direction.
+        // Search in the shape's own coordinates, where the direction becomes M^T * d.
+        const {center, axes} = Narrow_Phase.frame(body), local = vec3(...axes.map(axis => axis.dot(direction)));
+        let best, farthest = -Infinity;
+        for (let p of this.vertices(body.shape)) {
+            const reach = p.dot(local);
+            if (reach > farthest)
+                [best, farthest] = [p, reach];
+        }
+        return axes.reduce((acc, axis, i) => acc.plus(axis.times(scale * best[i])), center);
+    }
+
+    contact_test(a, b, leeway = this.leeway) {
+        // Shapes still loading from a file have no vertices to test yet:
+        if (!a.shape.arrays.position.length || !b.shape.arrays.position.length)
+            return false;
+        const support = d => {
+            const a_point = this.support(a, d, 1 + leeway), b_point = this.support(b, d.times(-1));
+            return {point: a_point.minus(b_point), a: a_point, b: b_point};
+        };
+        const start = Narrow_Phase.frame(a).center.minus(Narrow_Phase.frame(b).center),
+            simplex = Narrow_Phase.gjk(support, start.norm() > 1E-9 ? start : vec3(1, 0, 0));
+        if (!simplex)
+            return false;
+        const result = Narrow_Phase.epa(support, simplex);
+        if (!result || result.depth <= 0)
+            return false;
+        // EPA's normal points from a towards b; ours point the other way:
+        return {point: result.a.mix(result.b, .5), normal: result.normal.times(-1), depth: result.depth};
+    }
+}
@@ -0,0 +1,296 @@
+import {defs, tiny} from './common.js';
+import {Shape_From_File} from "./obj-file-demo.js";
+import {Text_Line} from "./text-demo.js";
+import {Skinned_Phong, Skinned_Textured_Phong} from "./skinning.js";
+import {Shadow_Phong_Shader} from "./shadow-map.js";
+// Pull these names into this module's scope for convenience:
+const {vec3, vec4, color, hex_color, Mat4, Quaternion, Light, Material, Texture, Scene, Scene_Node} = tiny;
+
+export class Scene_Description {
+    // **Scene_Description** reads and writes whole scenes as plain data (which can come from a JSON file).
+    // A description lists:
+    //  "textures":  Named image files, as {"url", "filter"} (the filter defaults to LINEAR_MIPMAP_LINEAR).
+    //  "shapes":  Named shapes, either built from a class -- {"class": "Subdivision_Sphere", "args": [4]},
+    //             with "flat_shaded": true for the flat shaded version -- or loaded from an .obj file, {"obj": url}.
+    //  "materials":  Named materials, as {"shader": class name, "args": [...], "options": {...}}.  Option values
+    //                can be numbers, colors ("#rrggbb", or [r, g, b, a]), vectors ([x, y, z]), or the names
+    //                of textures.
+    //  "camera":  Where the camera starts, as {"eye", "at", "up"} or a "matrix" (the camera's inverse, like
+    //             Program_State.set_camera() takes), and its field of view "fov" (radians), "near" and "far".
+    //  "objects":  A tree of Scene_Nodes.  Each can have a "name", a "shape" and "material" (by name), a
+    //              "light" ({"color", "size", "position"}, where position is [x, y, z, w] within the node
+    //              and defaults to its origin, and a null size never fades; plus a "range" to reach, and
+    //              a "direction" with an "inner_angle", "outer_angle" and "falloff" for a spotlight; or
+    //              {"kind": "directional", "color", "direction"}), "visible": false, and "children".
+    //              Each sits within its parent by a "translation", "rotation" ([angle, x, y, z]) and
+    //              "scale" (a number or [x, y, z]); or by a "matrix"; or by a "transform", which is a list
+    //              of Mat4 steps to multiply together, like [["scale", 2, 2, 2], ["rotation", 1, 0, 1, 0]].
+    // Class names get looked up in "classes" (defs plus a few more by default), so pass any others in.
+
+    static build(description, classes = Scene_Description.classes) {
+        // build(): Make a live scene out of a description:  Returns {textures, shapes, materials, camera,
+        // root}, where root is a Scene_Node with the objects under it.  It also keeps track of how each
+        // shape and shader was made, so that describe() can write them back out.
+        const scene = {textures: {}, shapes: {}, materials: {}, shape_sources: new Map(), shader_sources: new Map()};
+        for (let [name, {url, filter}] of Object.entries(description.textures || {}))
+            scene.textures[name] = filter ? new Texture(url, filter) : new Texture(url);
+        for (let [name, source] of Object.entries(description.shapes || {})) {
+            const Shape_Class = source.obj ? Shape_From_File : classes[source.class],
+                args = source.obj ? [source.obj] : source.args || [];
+            scene.shapes[name] = source.flat_shaded ? new (Shape_Class.prototype.make_flat_shaded_version())(...args)
+                : new Shape_Class(...args);
+            scene.shape_sources.set(scene.shapes[name], source);
+        }
+        // Materials with the same shader (and arguments) share one:
+        const shaders = {};
+        for (let [name, {shader, args = [], options = {}}] of Object.entries(description.materials || {})) {
+            const key = shader + JSON.stringify(args);
+            if (!shaders[key]) {
+                shaders[key] = new classes[shader](...args);
+                scene.shader_sources.set(shaders[key], {shader, args});
+            }
+            scene.materials[name] = new Material(shaders[key], Object.fromEntries(Object.entries(options)
+                .map(([key, value]) => [key, Scene_Description.read_value(value, scene.textures)])));
+        }
+        const {eye, at, up = [0, 1, 0], matrix, fov = Math.PI / 4, near = .1, far = 1000} = description.camera || {};
+        scene.camera = {
+            transform: matrix ? Mat4.of(...matrix) : eye ? Mat4.look_at(vec3(...eye), vec3(...at), vec3(...up))
+                : Mat4.translation(0, 0, -10),
+            fov, near, far
+        };
+        scene.root = new Scene_Node("root");
+        for (let object of description.objects || [])
+            scene.root.add(Scene_Description.build_node(object, scene));
+        return scene;
+    }
+
+    static build_node(object, scene) {
+        // (Internal helper function)
+        const {name, shape, material, light, visible = true, translation = [0, 0, 0], rotation, scale = 1} = object;
+        const node = new Scene_Node(name, {
+            shape: scene.shapes[shape], material: scene.materials[material], visible,
+            translation: vec3(...translation),
+            rotation: rotation ? Quaternion.from_axis_angle(...rotation) : Quaternion.identity(),
+            scale: typeof scale == "number" ? vec3(scale, scale, scale) : vec3(...scale)
+        });
+        if (light) {
+            const light_color = Scene_Description.read_value(light.color || "#ffffff"),
+                {direction, inner_angle, outer_angle, falloff, range} = light;
+            node.light = light.kind == "directional" ? Light.directional(direction, light_color)
+                : new Light(light.position ? Scene_Description.read_value(light.position) : vec4(0, 0, 0, 1),
+                    light_color, light.size === undefined ? 1 : light.size === null ? Infinity : light.size, {direction, inner_angle, outer_angle, falloff, range});
+        }
+        if (object.matrix)
+            node.set_matrix(Mat4.of(...object.matrix));
+        if (object.transform)
+            node.set_matrix(object.transform.reduce((m, [step, ...args]) => m.times(Mat4[step](...args)), Mat4.identity()));
+        for (let child of object.children || [])
+            node.add(Scene_Description.build_node(child, scene));
+        return node;
+    }
+
+    static read_value(value, textures = {}) {
+        // read_value(): Turn a value from a description into what the shaders expect.
+        if (typeof value == "string")
+            return value.startsWith("#") ? hex_color(value) : textures[value] || value;
+        if (Array.isArray(value) && value.every(x => typeof x == "number"))
+            return value.length == 3 ? vec3(...value) : value.length == 4 ? color(...value) : value;
+        return value;
+    }
+
+    static write_value(value, scene) {
+        // write_value(): The reverse of read_value(), or undefined for values that can't be written out (like
+        // matrices that get recomputed every frame).  Textures that aren't in the scene get added to it.
+        const round = x => Number(x.toPrecision(6));
+        if (["number", "string", "boolean"].includes(typeof value))
+            return typeof value == "number" ? round(value) : value;
+        if (value instanceof Texture) {
+            let name = Object.keys(scene.textures).find(name => scene.textures[name] === value);
+            if (!name)
+                scene.textures[name = value.filename.split("/").pop().split(".")[0]] = value;
+            return name;
+        }
+        if (!(value instanceof Float32Array) || ![3, 4].includes(value.length))
+            return;
+        // Opaque colors whose channels are whole multiples of 1/255 look best as hex:
+        const bytes = [...value].slice(0, 3).map(x => x * 255);
+        if (value.length == 4 && value[3] == 1 && bytes.every(b => b >= 0 && b <= 255 && Math.abs(b - Math.round(b)) < 1E-3))
+            return "#" + bytes.map(b => Math.round(b).toString(16).padStart(2, "0")).join("");
+        return [...value].map(round);
+    }
+
+    static describe(scene, camera_transform = scene.camera.transform) {
+        // describe(): Write a scene made by build() back out as a description, the way it is now -- with
+        // the camera where camera_transform (the inverse camera matrix) says.
+        const round = x => Number(x.toPrecision(6)), name_of = (things, thing) =>
+            Object.keys(things).find(name => things[name] === thing);
+        const shapes = {}, materials = {};
+        for (let [name, shape] of Object.entries(scene.shapes))
+            if (scene.shape_sources.has(shape))
+                shapes[name] = scene.shape_sources.get(shape);
+        for (let [name, material] of Object.entries(scene.materials)) {
+            const {shader, args} = scene.shader_sources.get(material.shader) ||
+                {shader: material.shader.constructor.name, args: []}, options = {};
+            for (let [key, value] of Object.entries(material))
+                if (key != "shader" && Scene_Description.write_value(value, scene) !== undefined)
+                    options[key] = Scene_Description.write_value(value, scene);
+            materials[name] = args.length ? {shader, args, options} : {shader, options};
+        }
+        const describe_node = node => {
+            const object = {name: node.name};
+            if (node.shape && name_of(scene.shapes, node.shape))
+                object.shape = name_of(scene.shapes, node.shape);
+            if (node.material && name_of(scene.materials, node.material))
+                object.material = name_of(scene.materials, node.material);
+            if (node.matrix)
+                object.matrix = node.matrix.map(row => [...row].map(round));
+            else {
+                const {angle, axis} = node.rotation.to_axis_angle();
+                object.translation = [...node.translation].map(round);
+                if (angle)
+                    object.rotation = [angle, ...axis].map(round);
+                object.scale = [...node.scale].map(round);
+            }
+            if (node.light)
+                object.light = Scene_Description.describe_light(node.light, scene);
+            if (!node.visible)
+                object.visible = false;
+            if (node.children.length)
+                object.children = node.children.map(describe_node);
+            return object;
+        };
+        const objects = scene.root.children.map(describe_node);
+        // The textures go last, since writing out the materials can add to them:
+        const textures = Object.fromEntries(Object.entries(scene.textures).map(([name, {filename, min_filter}]) =>
+            [name, min_filter == "LINEAR_MIPMAP_LINEAR" ? {url: filename} : {url: filename, filter: min_filter}]));
+        const {fov, near, far} = scene.camera;
+        return {
+            textures, shapes, materials,
+            camera: {matrix: camera_transform.map(row => [...row].map(round)), fov, near, far},
+            objects
+        };
+    }
+
+    static describe_light(light, scene) {
+        // (Internal helper function)
+        const round = x => Number(x.toPrecision(6)), kind = light.kind(),
+            description = {color: Scene_Description.write_value(light.color, scene)};
+        if (kind == "directional" && light.direction)
+            return Object.assign({kind}, description, {direction: [...light.direction].map(round)});
+        Object.assign(description, {size: round(1 / light.attenuation), position: [...light.position].map(round)});
+        if (light.range < Infinity)
+            description.range = round(light.range);
+        if (kind == "spot")
+            Object.assign(description, {
+                direction: [...light.direction].map(round), inner_angle: round(light.inner_angle),
+                outer_angle: round(light.outer_angle), falloff: round(light.falloff)
+            });
+        return description;
+    }
+
+    static problems(description, classes = Scene_Description.classes) {
+        // problems(): Check a description before building it, since it can come from anywhere.  Returns a
+        // list of what's wrong with it, which is empty if it's fine.
+        const problems = [];
+        if (!description || typeof description != "object")
+            return ["It needs to be an object."];
+        const {textures = {}, shapes = {}, materials = {}, objects = []} = description;
+        for (let [name, texture] of Object.entries(textures))
+            if (!texture || typeof texture.url != "string")
+                problems.push("Texture \"" + name + "\": It needs a url.");
+        for (let [name, shape] of Object.entries(shapes))
+            if (!shape || !shape.obj && typeof classes[shape.class] != "function")
+                problems.push("Shape \"" + name + "\": There's no class named \"" + (shape || {}).class + "\".");
+        for (let [name, material] of Object.entries(materials))
+            if (!material || typeof classes[material.shader] != "function")
+                problems.push("Material \"" + name + "\": There's no shader named \"" + (material || {}).shader + "\".");
+        const check_object = (object, path) => {
+            const name = "Object \"" + path + "\": ";
+            if (object.shape !== undefined && !shapes[object.shape])
+                problems.push(name + "There are no shapes named \"" + object.shape + "\".");
+            if (object.material !== undefined && !materials[object.material])
+                problems.push(name + "There are no materials named \"" + object.material + "\".");
+            if (object.light && (object.light.kind == "directional" || object.light.inner_angle !== undefined) &&
+                !(Array.isArray(object.light.direction) && object.light.direction.length == 3))
+                problems.push(name + "Its light needs a direction ([x, y, z]).");
+            for (let [step] of object.transform || [])
+                if (!["translation", "rotation", "scale"].includes(step))
+                    problems.push(name + "Its transform can't have a \"" + step + "\" step.");
+            (object.children || []).forEach((child, i) => check_object(child, path + "/" + (child.name || i)));
+        };
+        if (!Array.isArray(objects))
+            return [...problems, "Its objects need to be a list."];
+        objects.forEach((object, i) => check_object(object, object.name || i));
+        return problems;
+    }
+}
+
+// The classes that descriptions can name, unless build() is told otherwise:
+Scene_Description.classes = {...defs, Text_Line, Skinned_Phong, Skinned_Textured_Phong, Shadow_Phong_Shader};
+
+
+export class Described_Scene extends Scene {
+    // **Described_Scene** shows a scene from a description file (see Scene_Description), such as one
+    // written out by another scene.  Its control panel can load another file, or save the scene as
+    // it's being looked at.
+    constructor(url = "assets/group-scene.json") {
+        super();
+        this.load(url);
+    }
+
+    load(url) {
+        // load(): Fetch a description from a JSON file and show it.  If it can't be loaded or used,
+        // whatever was showing stays.
+        fetch(url)
+            .then(response => response.ok ? response.json() : Promise.reject(response.status))
+            .then(description => this.use(description))
+            .catch(error => console.warn("Couldn't show the scene described in " + url + ":\n" + error));
+    }
+
+    use(description) {
+        // use(): Show a description, after checking it.  The camera jumps to its starting place.
+        const problems = Scene_Description.problems(description);
+        if (problems.length)
+            return Promise.reject(problems.join("\n"));
+        this.scene = Scene_Description.build(description);
+        this.camera_placed = false;
+    }
+
+    make_control_panel() {
+        this.key_triggered_button("Load scene", ["Alt", "o"], () => {
+            const input = document.createElement("input");
+            Object.assign(input, {type: "file", accept: ".json,application/json"});
+            input.onchange = () => input.files[0].text().then(json => this.use(JSON.parse(json)))
+                .catch(error => console.warn("Couldn't show that scene:\n" + error));
+            input.click();
+        });
+        this.key_triggered_button("Save scene", ["Alt", "g"], () => this.save());
+    }
+
+    save() {
+        // save(): Save the scene as a JSON description file, with the camera where it is now.
+        if (!this.scene)
+            return;
+        const link = document.createElement("a"),
+            description = Scene_Description.describe(this.scene, this.program_state.camera_inverse);
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(description, null, 2)], {type: "application/json"}));
+        link.download = "scene.json";
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    display(context, program_state) {
+        if (!context.scratchpad.controls)
+            this.children.push(context.scratchpad.controls = new defs.Movement_Controls());
+        this.program_state = program_state;
+        if (!this.scene)
+            return;
+        const {transform, fov, near, far} = this.scene.camera;
+        if (!this.camera_placed)
+            program_state.set_camera(transform.copy());
+        this.camera_placed = true;
+        program_state.projection_transform = Mat4.perspective(fov, context.width / context.height, near, far);
+        program_state.lights = this.scene.root.lights();
+        this.scene.root.draw(context, program_state);
+    }
+}
@@ -0,0 +1,64 @@
+export class Scoreboard {
+    // **Scoreboard** keeps the score for a scene where things get thrown at a target:  How many bodies
+    // hit it, how many the user threw and how many of those hit (their accuracy), and how long the
+    // target has been standing there taking it.  The scene tells it about each throw and each hit as
+    // they happen, and how much time passes.  A body only counts as a hit once, no matter how many
+    // times it bounces off the target; "struck" remembers which bodies already have.
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        // reset(): Start the score over from nothing.
+        Object.assign(this, {hits: 0, throws: 0, thrown_hits: 0, time: 0, struck: new Set()});
+    }
+
+    note_throw() {
+        // note_throw(): Count one more throw by the user.
+        this.throws++;
+    }
+
+    note_hit(body) {
+        // note_hit(): Count the body hitting the target, unless it already has.  Returns whether it counted.
+        if (this.struck.has(body))
+            return false;
+        this.struck.add(body);
+        this.hits++;
+        if (body.user_projectile)
+            this.thrown_hits++;
+        return true;
+    }
+
+    update(dt, bodies) {
+        // update(): Let dt seconds pass, and forget any struck bodies that are no longer among the bodies.
+        this.time += dt;
+        if (this.struck.size)
+            this.struck = new Set(bodies.filter(b => this.struck.has(b)));
+    }
+
+    accuracy() {
+        // accuracy(): The fraction of the user's throws that hit, or 0 before the first throw.
+        return this.throws ? this.thrown_hits / this.throws : 0;
+    }
+
+    lines() {
+        // lines(): The score as a few short lines of text, for showing on screen.
+        const minutes = Math.floor(this.time / 60), seconds = Math.floor(this.time % 60);
+        return ["Hits: " + this.hits,
+            "Throws: " + this.throws + "  Accuracy: " + Math.round(100 * this.accuracy()) + "%",
+            "Survived: " + minutes + ":" + String(seconds).padStart(2, "0")];
+    }
+
+    state(bodies) {
+        // state(): The score as plain data (for snapshots), naming the struck bodies by their places in
+        // the given list of bodies.
+        const {hits, throws, thrown_hits, time} = this;
+        return {hits, throws, thrown_hits, time, struck: bodies.map((b, i) => this.struck.has(b) ? i : -1).filter(i => i >= 0)};
+    }
+
+    restore(state, bodies) {
+        // restore(): Pick the score back up from the output of state(), given the same list of bodies.
+        const {hits, throws, thrown_hits, time} = state;
+        Object.assign(this, {hits, throws, thrown_hits, time, struck: new Set(state.struck.map(i => bodies[i]))});
+    }
+}
@@ -4,8 +4,8 @@ const {vec3, vec4, vec, color, Matrix, Mat4, Light, Shape, Material, Shader, Tex
 const {Cube, Axis_Arrows, Textured_Phong, Phong_Shader, Basic_Shader, Subdivision_Sphere} = defs
 
 import {Shape_From_File} from './obj-file-demo.js'
-import {Color_Phong_Shader, Shadow_Textured_Phong_Shader,
-    Depth_Texture_Shader_2D, Buffered_Texture, LIGHT_DEPTH_TEX_SIZE} from './shadow-demo-shaders.js'
+import {Color_Phong_Shader, Shadow_Textured_Phong_Shader, Depth_Texture_Shader_2D} from './shadow-demo-shaders.js'
+import {Shadow_Map} from './shadow-map.js'
 
 // 2D shape, to display the texture buffer
 const Square =
@@ -43,15 +43,12 @@ export class Shadow_Demo extends Scene {
         this.stars = new Material(new Shadow_Textured_Phong_Shader(1), {
             color: color(.5, .5, .5, 1),
             ambient: .4, diffusivity: .5, specularity: .5,
-            color_texture: new Texture("assets/stars.png"),
-            light_depth_texture: null
-
+            color_texture: new Texture("assets/stars.png")
         });
         // For the floor or other plain objects
         this.floor = new Material(new Shadow_Textured_Phong_Shader(1), {
             color: color(1, 1, 1, 1), ambient: .3, diffusivity: 0.6, specularity: 0.4, smoothness: 64,
-            color_texture: null,
-            light_depth_texture: null
+            color_texture: null
         })
         // For the first pass
         this.pure = new Material(new Color_Phong_Shader(), {
@@ -66,8 +63,8 @@ export class Shadow_Demo extends Scene {
             ambient: 1, diffusivity: 0, specularity: 0, texture: null
         });
 
-        // To make sure texture initialization only does once
-        this.init_ok = false;
+        // The light's point of view.  Although the light is a point light, it needs a rough target to look at:
+        this.shadow_map = new Shadow_Map(null, {target: vec3(0, 0, 0), fov: 130 * Math.PI / 180, near: .5, far: 500});
     }
 
     make_control_panel() {
@@ -90,71 +87,6 @@ export class Shadow_Demo extends Scene {
         // });
     }
 
-    texture_buffer_init(gl) {
-        // Depth Texture
-        this.lightDepthTexture = gl.createTexture();
-        // Bind it to TinyGraphics
-        this.light_depth_texture = new Buffered_Texture(this.lightDepthTexture);
-        this.stars.light_depth_texture = this.light_depth_texture
-        this.floor.light_depth_texture = this.light_depth_texture
-
-        this.lightDepthTextureSize = LIGHT_DEPTH_TEX_SIZE;
-        gl.bindTexture(gl.TEXTURE_2D, this.lightDepthTexture);
-        gl.texImage2D(
-            gl.TEXTURE_2D,      // target
-            0,                  // mip level
-            gl.DEPTH_COMPONENT, // internal format
-            this.lightDepthTextureSize,   // width
-            this.lightDepthTextureSize,   // height
-            0,                  // border
-            gl.DEPTH_COMPONENT, // format
-            gl.UNSIGNED_INT,    // type
-            null);              // data
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-
-        // Depth Texture Buffer
-        this.lightDepthFramebuffer = gl.createFramebuffer();
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.lightDepthFramebuffer);
-        gl.framebufferTexture2D(
-            gl.FRAMEBUFFER,       // target
-            gl.DEPTH_ATTACHMENT,  // attachment point
-            gl.TEXTURE_2D,        // texture target
-            this.lightDepthTexture,         // texture
-            0);                   // mip level
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-
-        // create a color texture of the same size as the depth texture
-        // see article why this is needed_
-        this.unusedTexture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, this.unusedTexture);
-        gl.texImage2D(
-            gl.TEXTURE_2D,
-            0,
-            gl.RGBA,
-            this.lightDepthTextureSize,
-            this.lightDepthTextureSize,
-            0,
-            gl.RGBA,
-            gl.UNSIGNED_BYTE,
-            null,
-        );
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        // attach it to the framebuffer
-        gl.framebufferTexture2D(
-            gl.FRAMEBUFFER,        // target
-            gl.COLOR_ATTACHMENT0,  // attachment point
-            gl.TEXTURE_2D,         // texture target
-            this.unusedTexture,         // texture
-            0);                    // mip level
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    }
-
     render_scene(context, program_state, shadow_pass, draw_light_source=false, draw_shadow=false) {
         // shadow_pass: true if this is the second pass that draw the shadow.
         // draw_light_source: true if we want to draw the light source.
@@ -203,15 +135,8 @@ export class Shadow_Demo extends Scene {
         const t = program_state.animation_time;
         const gl = context.context;
 
-        if (!this.init_ok) {
-            const ext = gl.getExtension('WEBGL_depth_texture');
-            if (!ext) {
-                return alert('need WEBGL_depth_texture');  // eslint-disable-line
-            }
-            this.texture_buffer_init(gl);
-
-            this.init_ok = true;
-        }
+        if (!this.shadow_map.init(gl))
+            return alert('need WEBGL_depth_texture');  // eslint-disable-line
 
         if (!context.scratchpad.controls) {
             this.children.push(context.scratchpad.controls = new defs.Movement_Controls());
@@ -233,35 +158,16 @@ export class Shadow_Demo extends Scene {
             1
         );
 
-        // This is a rough target of the light.
-        // Although the light is point light, we need a target to set the POV of the light
-        this.light_view_target = vec4(0, 0, 0, 1);
-        this.light_field_of_view = 130 * Math.PI / 180; // 130 degree
-
         program_state.lights = [new Light(this.light_position, this.light_color, 1000)];
 
-        // Step 1: set the perspective and camera to the POV of light
-        const light_view_mat = Mat4.look_at(
-            vec3(this.light_position[0], this.light_position[1], this.light_position[2]),
-            vec3(this.light_view_target[0], this.light_view_target[1], this.light_view_target[2]),
-            vec3(0, 1, 0), // assume the light to target will have a up dir of +y, maybe need to change according to your case
-        );
-        const light_proj_mat = Mat4.perspective(this.light_field_of_view, 1, 0.5, 500);
-        // Bind the Depth Texture Buffer
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.lightDepthFramebuffer);
-        gl.viewport(0, 0, this.lightDepthTextureSize, this.lightDepthTextureSize);
-        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-        // Prepare uniforms
-        program_state.light_view_mat = light_view_mat;
-        program_state.light_proj_mat = light_proj_mat;
-        program_state.light_tex_mat = light_proj_mat;
-        program_state.view_mat = light_view_mat;
-        program_state.projection_transform = light_proj_mat;
+        // Step 1: set the perspective and camera to the POV of light, and draw into the depth texture
+        this.shadow_map.update(program_state.lights[0]);
+        program_state.view_mat = this.shadow_map.light_view_mat;
+        this.shadow_map.begin(context, program_state);
         this.render_scene(context, program_state, false,false, false);
+        this.shadow_map.end(context, program_state);
 
-        // Step 2: unbind, draw to the canvas
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        // Step 2: draw to the canvas
         program_state.view_mat = program_state.camera_inverse;
         program_state.projection_transform = Mat4.perspective(Math.PI / 4, context.width / context.height, 0.5, 500);
         this.render_scene(context, program_state, true,true, true);
@@ -271,7 +177,7 @@ export class Shadow_Demo extends Scene {
             Mat4.translation(-.99, .08, 0).times(
             Mat4.scale(0.5, 0.5 * gl.canvas.width / gl.canvas.height, 1)
             ),
-            this.depth_tex.override({texture: this.lightDepthTexture})
+            this.depth_tex.override({texture: this.shadow_map.texture.texture_buffer_pointer})
         );
     }
 
@@ -0,0 +1,262 @@
+import {defs, tiny} from './common.js';
+// Pull these names into this module's scope for convenience:
+const {vec3, Matrix, Mat4} = tiny;
+
+// The size of the light texture buffer
+export const LIGHT_DEPTH_TEX_SIZE = 2048;
+
+export class Shadow_Map {
+    // **Shadow_Map** lets one Light cast shadows in any Scene.  Each frame, aim it at the light with
+    // update(), then have it render() a draw list -- whatever should cast shadows -- into a depth texture,
+    // as seen from the light.  Afterwards it leaves itself in the Program_State as "shadow_map", along
+    // with its "light_view_mat" and "light_proj_mat", for any shader that wants to darken what the light
+    // can't see; Shadow_Map.glsl_code() and Shadow_Map.send() do the shader's half of the work (see
+    // Shadow_Phong_Shader).  A point light looks from where it is toward a "target" point, with a
+    // field of view of "fov"; a spotlight looks along its direction, across its outer cone; and a
+    // directional light looks along its direction at a box around the target, "extent" units each way.
+    // Example usage:
+    //     this.shadow_map = new Shadow_Map(light, {target: vec3(0, 0, 0)});
+    //     // ...then in display(), with the lights and the scene in place:
+    //     this.shadow_map.update(program_state.lights[0]);
+    //     this.shadow_map.render(context, program_state, Shadow_Map.casters(this.root));
+    constructor(light, options = {}) {
+        const defaults = {
+            size: LIGHT_DEPTH_TEX_SIZE, target: vec3(0, 0, 0), up: vec3(0, 1, 0), fov: 130 * Math.PI / 180,
+            near: .5, far: 500, extent: 50, bias: .003, darkness: .8, texture_unit: 1
+        };
+        Object.assign(this, defaults, options, {texture: null, framebuffer: null, supported: undefined});
+        if (light)
+            this.update(light);
+    }
+
+    init(gl) {
+        // init(): Make the depth texture and the framebuffer that draws into it, the first time there's a
+        // WebGL context to make them on.  Returns whether this context can have shadow maps at all.
+        if (this.supported !== undefined)
+            return this.supported;
+        this.supported = !!gl.getExtension('WEBGL_depth_texture');
+        if (!this.supported)
+            return false;
+        const make_texture = (format, type) => {
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, format, this.size, this.size, 0, format, type, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            return texture;
+        };
+        const depth_texture = make_texture(gl.DEPTH_COMPONENT, gl.UNSIGNED_INT);
+        this.texture = new Buffered_Texture(depth_texture);
+        this.framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, depth_texture, 0);
+        // Some graphics cards won't draw into a framebuffer without a color attachment, so give it one
+        // of the same size, even though nothing reads it:
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D,
+            make_texture(gl.RGBA, gl.UNSIGNED_BYTE), 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return true;
+    }
+
+    update(light = this.light) {
+        // update(): Aim from the light where it is now (or from a different light), working out the
+        // light_view_mat and light_proj_mat to draw from its point of view with.
+        this.light = light;
+        const kind = light.kind(), position = light.position.to3();
+        const eye = kind == "directional" ? this.target.plus(position.normalized().times(this.far / 2)) : position,
+            at = kind == "spot" ? eye.plus(light.direction) : this.target,
+            // Looking straight along the up vector would leave no way to tell which way is up:
+            up = Math.abs(at.minus(eye).normalized().dot(this.up.normalized())) > .99 ? vec3(1, 0, 0) : this.up;
+        this.light_view_mat = Mat4.look_at(eye, at, up);
+        const e = this.extent;
+        this.light_proj_mat = kind == "directional" ? Mat4.orthographic(-e, e, -e, e, this.near, this.far)
+            : Mat4.perspective(kind == "spot" ? Math.min(2 * light.outer_angle + .1, 3) : this.fov, 1, this.near, this.far);
+    }
+
+    begin(context, program_state) {
+        // begin(): Start drawing into the depth texture from the light's point of view.  Whatever gets
+        // drawn until end() casts shadows.  Returns false (and does nothing) if there can't be shadows.
+        const gl = context.context;
+        if (!this.init(gl))
+            return false;
+        // Shaders mustn't read the depth texture while it's being drawn into:
+        gl.activeTexture(gl["TEXTURE" + this.texture_unit]);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.viewport(0, 0, this.size, this.size);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        const {camera_inverse, projection_transform} = program_state;
+        this.saved_view = {camera_inverse, projection_transform};
+        program_state.set_camera(this.light_view_mat);
+        Object.assign(program_state, {
+            projection_transform: this.light_proj_mat, shadow_map: null,
+            light_view_mat: this.light_view_mat, light_proj_mat: this.light_proj_mat
+        });
+        return true;
+    }
+
+    end(context, program_state) {
+        // end(): Go back to drawing on the canvas from the camera, and leave this shadow map for shaders to use.
+        const gl = context.context, {camera_inverse, projection_transform} = this.saved_view;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        program_state.set_camera(camera_inverse);
+        Object.assign(program_state, {projection_transform, shadow_map: this});
+    }
+
+    render(context, program_state, casters) {
+        // render(): Draw the draw list -- a list of {shape, transform, material} -- into the depth texture.
+        // Each caster draws with its own material, so that anything that moves its vertices around
+        // (like a skinned model) casts the shadow of where they end up.
+        if (!this.begin(context, program_state))
+            return false;
+        for (let {shape, transform, material} of casters)
+            shape.draw(context, program_state, transform, material);
+        this.end(context, program_state);
+        return true;
+    }
+
+    static casters(node) {
+        // casters(): Everything drawn at or under a Scene_Node, as a draw list for render().
+        const casters = [];
+        node.traverse(n => {
+            if (n.shape && n.material)
+                casters.push({shape: n.shape, transform: n.world_transform(), material: n.material});
+        });
+        return casters;
+    }
+
+    static glsl_code() {
+        // glsl_code(): The uniforms a fragment shader needs for reading a shadow map, and shadowness(),
+        // which works out how far a point is in shadow.  Fill the uniforms in with send().
+        return `
+                uniform sampler2D light_depth_texture;
+                uniform mat4 light_view_mat;
+                uniform mat4 light_proj_mat;
+                uniform float light_depth_bias;
+                uniform float light_texture_size;
+                uniform float shadow_darkness;
+                uniform bool draw_shadow;
+
+                float shadowness( vec3 point_worldspace ){
+                    // shadowness():  How much of the area around a point the light can't see, from 0 to 1.
+                    // Averaging nine texels of the depth texture (percentage-closer filtering) softens the edges.
+                    if( !draw_shadow ) return 0.0;
+                    vec4 light_tex_coord = light_proj_mat * light_view_mat * vec4( point_worldspace, 1.0 );
+                    // Points behind the light, or outside of its view, are lit:
+                    if( light_tex_coord.w <= 0.0 ) return 0.0;
+                    // convert NDCS from light's POV to light depth texture coordinates
+                    vec3 projected = light_tex_coord.xyz / light_tex_coord.w * 0.5 + 0.5;
+                    if( any( lessThan( projected, vec3( 0.0 ) ) ) || any( greaterThan( projected, vec3( 1.0 ) ) ) )
+                        return 0.0;
+                    float shadow = 0.0;
+                    float texel_size = 1.0 / light_texture_size;
+                    for( int x = -1; x <= 1; ++x )
+                        for( int y = -1; y <= 1; ++y ){
+                            float light_depth_value = texture2D( light_depth_texture, projected.xy + vec2( x, y ) * texel_size ).r;
+                            shadow += projected.z >= light_depth_value + light_depth_bias ? 1.0 : 0.0;
+                        }
+                    return shadow / 9.0;
+                } `;
+    }
+
+    static send(gl, gpu, shadow_map) {
+        // send(): Fill in the uniforms from glsl_code() for a shadow map, or for none (null), and select
+        // its depth texture for the shader to read.
+        gl.uniform1i(gpu.draw_shadow, shadow_map ? 1 : 0);
+        if (!shadow_map)
+            return;
+        gl.uniformMatrix4fv(gpu.light_view_mat, false, Matrix.flatten_2D_to_1D(shadow_map.light_view_mat.transposed()));
+        gl.uniformMatrix4fv(gpu.light_proj_mat, false, Matrix.flatten_2D_to_1D(shadow_map.light_proj_mat.transposed()));
+        gl.uniform1f(gpu.light_depth_bias, shadow_map.bias);
+        gl.uniform1f(gpu.light_texture_size, shadow_map.size);
+        gl.uniform1f(gpu.shadow_darkness, shadow_map.darkness);
+        gl.uniform1i(gpu.light_depth_texture, shadow_map.texture_unit);
+        shadow_map.texture.activate(gl, shadow_map.texture_unit);
+    }
+}
+
+
+export class Shadow_Phong_Shader extends defs.Phong_Shader {
+    // **Shadow_Phong_Shader** is a Phong_Shader that takes away most of the lights' diffuse and specular
+    // light wherever the Program_State's shadow map (if it has one) says its light can't reach, leaving
+    // mostly the ambient light there.
+    fragment_glsl_code() {
+        // ********* FRAGMENT SHADER *********
+        return this.shared_glsl_code() + Shadow_Map.glsl_code() + `
+                void main(){
+                    // Compute an initial (ambient) color:
+                    gl_FragColor = vec4( shape_color.xyz * ambient, shape_color.w );
+                    // Compute the final color with contributions from lights, dimmed in shadow:
+                    float shadow = shadow_darkness * shadowness( vertex_worldspace );
+                    gl_FragColor.xyz += ( 1.0 - shadow ) * phong_model_lights( normalize( N ), vertex_worldspace );
+                  } `;
+    }
+
+    update_GPU(context, gpu_addresses, gpu_state, model_transform, material) {
+        // update_GPU(): Add the shadow map to what the base class sends.
+        super.update_GPU(context, gpu_addresses, gpu_state, model_transform, material);
+        Shadow_Map.send(context, gpu_addresses, gpu_state.shadow_map);
+    }
+}
+
+
+export class Buffered_Texture extends tiny.Graphics_Card_Object {
+    // **Texture** wraps a pointer to a new texture image where
+    // it is stored in GPU memory, along with a new HTML image object.
+    // This class initially copies the image to the GPU buffers,
+    // optionally generating mip maps of it and storing them there too.
+    constructor(texture_buffer_pointer) {
+        super();
+        Object.assign(this, {texture_buffer_pointer});
+        this.ready = true;
+        this.texture_buffer_pointer = texture_buffer_pointer;
+    }
+
+    copy_onto_graphics_card(context, need_initial_settings = true) {
+        // copy_onto_graphics_card():  Called automatically as needed to load the
+        // texture image onto one of your GPU contexts for its first time.
+
+        // Define what this object should store in each new WebGL Context:
+        const initial_gpu_representation = {texture_buffer_pointer: undefined};
+        // Our object might need to register to multiple GPU contexts in the case of
+        // multiple drawing areas.  If this is a new GPU context for this object,
+        // copy the object to the GPU.  Otherwise, this object already has been
+        // copied over, so get a pointer to the existing instance.
+        const gpu_instance = super.copy_onto_graphics_card(context, initial_gpu_representation);
+
+        if (!gpu_instance.texture_buffer_pointer) gpu_instance.texture_buffer_pointer = this.texture_buffer_pointer;
+
+        // const gl = context;
+        // gl.bindTexture(gl.TEXTURE_2D, gpu_instance.texture_buffer_pointer);
+        //
+        // if (need_initial_settings) {
+        //     gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        //     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        //     // Always use bi-linear sampling when zoomed out.
+        //     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl[this.min_filter]);
+        //     // Let the user to set the sampling method
+        //     // when zoomed in.
+        // }
+        //
+        // gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.image);
+        // if (this.min_filter == "LINEAR_MIPMAP_LINEAR")
+        //     gl.generateMipmap(gl.TEXTURE_2D);
+        // // If the user picked tri-linear sampling (the default) then generate
+        // // the necessary "mips" of the texture and store them on the GPU with it.
+        return gpu_instance;
+    }
+
+    activate(context, texture_unit = 0) {
+        // activate(): Selects this Texture in GPU memory so the next shape draws using it.
+        // Optionally select a texture unit in case you're using a shader with many samplers.
+        // Terminate draw requests until the image file is actually loaded over the network:
+        if (!this.ready)
+            return;
+        const gpu_instance = super.activate(context);
+        context.activeTexture(context["TEXTURE" + texture_unit]);
+        context.bindTexture(context.TEXTURE_2D, this.texture_buffer_pointer);
+    }
+}
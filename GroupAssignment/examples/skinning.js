@@ -0,0 +1,267 @@
+import {defs, tiny} from './common.js';
+// Pull these names into this module's scope for convenience:
+const {vec3, vec4, Mat4, Matrix, Quaternion} = tiny;
+
+export class Skeleton {
+    // **Skeleton** is a hierarchy of joints for bending a Shape, as in skeletal animation ("skinning").
+    // Each joint is given as {name, parent, position, tail, radius}:  The name of its parent joint
+    // (none for the root), where it sits in the shape's own coordinates while unposed, where its bone
+    // ends (by default, in the middle of its children), and roughly how thick the part of the shape
+    // around its bone is.  Parents have to come before their children.  A joint turns about its own
+    // position, carrying its children along.
+
+    // A "pose" says how far each joint turns, as {joint name: Quaternion}, relative to its parent.
+    // Joints left out don't turn.  A pose's "offset" (a vec3), if any, moves the whole skeleton.
+    constructor(joints) {
+        this.joints = joints.map(joint => Object.assign({}, joint, {position: vec3(...joint.position)}));
+        this.parents = this.joints.map(joint => this.joints.findIndex(other => other.name === joint.parent));
+    }
+
+    matrices(pose = {}) {
+        // matrices(): For every joint, the matrix that moves a point of the unposed shape to where the
+        // pose puts it:  Turn about the joint, then follow wherever the parent's matrix goes.
+        const result = [];
+        this.joints.forEach((joint, i) => {
+            const turn = pose[joint.name] ? pose[joint.name].to_mat4() : Mat4.identity(),
+                m = Mat4.translation(...joint.position).times(turn).times(Mat4.translation(...joint.position.times(-1)));
+            if (this.parents[i] >= 0)
+                result.push(result[this.parents[i]].times(m));
+            else
+                result.push(pose.offset ? Mat4.translation(...pose.offset).times(m) : m);
+        });
+        return result;
+    }
+
+    bones() {
+        // bones(): Each joint's bone, as the ends [start, end] of a line segment.
+        return this.joints.map((joint, i) => {
+            const children = this.joints.filter((child, j) => this.parents[j] == i);
+            const end = joint.tail ? vec3(...joint.tail) : children.length
+                ? children.reduce((acc, child) => acc.plus(child.position), vec3(0, 0, 0)).times(1 / children.length)
+                : joint.position;
+            return [joint.position, end];
+        });
+    }
+
+    skin(shape, smoothing = 8) {
+        // skin(): Bind the shape to this skeleton, by adding arrays "joint_indices" and "joint_weights"
+        // that give each vertex the (up to) four joints that move it and how much, as vec4s.  First each
+        // vertex goes entirely with the joint it's nearest to, measured from the surface of a capsule of
+        // the joint's radius around its bone.  Then each vertex's weights get averaged with its
+        // neighbors' (along the edges of the shape's triangles), "smoothing" times over, so that the
+        // shape bends smoothly where two joints meet.  Going by the triangles instead of by distance
+        // keeps parts that are merely near each other (like an arm hanging by the body) from blending.
+        const bones = this.bones(), positions = shape.arrays.position;
+        const distance = (p, i) => {
+            const [start, end] = bones[i], along = end.minus(start), length_squared = along.dot(along),
+                s = length_squared ? Math.min(Math.max(p.minus(start).dot(along) / length_squared, 0), 1) : 0;
+            return p.minus(start.plus(along.times(s))).norm() - this.joints[i].radius;
+        };
+        // Vertices at the same spot (split apart for the sake of texture seams) count as one:
+        const spots = new Map(), spot_of = positions.map(p => {
+            const key = p.join(",");
+            if (!spots.has(key))
+                spots.set(key, spots.size);
+            return spots.get(key);
+        });
+        const neighbors = Array(spots.size).fill(0).map(() => new Set()),
+            indices = shape.indices.length ? shape.indices : positions.map((p, i) => i);
+        for (let i = 0; i + 2 < indices.length; i += 3)
+            for (let [a, b] of [[0, 1], [1, 2], [2, 0]]) {
+                neighbors[spot_of[indices[i + a]]].add(spot_of[indices[i + b]]);
+                neighbors[spot_of[indices[i + b]]].add(spot_of[indices[i + a]]);
+            }
+        let weights = Array(spots.size).fill(0).map(() => Array(this.joints.length).fill(0));
+        positions.forEach((p, v) => {
+            const d = this.joints.map((joint, i) => distance(p, i));
+            weights[spot_of[v]][d.indexOf(Math.min(...d))] = 1;
+        });
+        for (let k = 0; k < smoothing; k++)
+            weights = weights.map((w, spot) => {
+                const sum = w.slice();
+                for (let n of neighbors[spot])
+                    weights[n].forEach((x, i) => sum[i] += x);
+                return sum.map(x => x / (neighbors[spot].size + 1));
+            });
+        shape.arrays.joint_indices = [];
+        shape.arrays.joint_weights = [];
+        for (let spot of spot_of) {
+            const strongest = weights[spot].map((weight, i) => ({i, weight}))
+                .sort((a, b) => b.weight - a.weight).slice(0, 4),
+                total = strongest.reduce((acc, n) => acc + n.weight, 0);
+            shape.arrays.joint_indices.push(vec4(...strongest.map(n => n.i)));
+            shape.arrays.joint_weights.push(vec4(...strongest.map(n => n.weight / total)));
+        }
+    }
+}
+
+
+export class Animation_Clip {
+    // **Animation_Clip** animates a Skeleton's pose with keyframes.  Each keyframe is {time, pose},
+    // where the pose gives joints' turns as [angle, x, y, z] (the same arguments as Mat4.rotation())
+    // and maybe an "offset" as [x, y, z].  In between keyframes, each joint's turn is slerped.  Times
+    // are in seconds, starting from 0; the clip lasts until its last keyframe.  A looping clip wraps
+    // around to its start, so its last keyframe should match its first.
+    constructor(keyframes, looping = false) {
+        this.keyframes = keyframes.map(({time, pose}) => ({time, pose: Animation_Clip.to_pose(pose)}));
+        this.looping = looping;
+        this.duration = keyframes[keyframes.length - 1].time;
+    }
+
+    static to_pose(turns) {
+        // to_pose(): Convert keyframe data into a pose, as Skeleton uses.
+        const pose = {};
+        for (let [name, value] of Object.entries(turns))
+            pose[name] = name == "offset" ? vec3(...value) : Quaternion.from_axis_angle(...value);
+        return pose;
+    }
+
+    sample(t) {
+        // sample(): The pose t seconds into the clip.
+        if (this.looping && this.duration)
+            t = (t % this.duration + this.duration) % this.duration;
+        const frames = this.keyframes, next = frames.findIndex(frame => frame.time > t);
+        if (next <= 0)
+            return frames[next < 0 ? frames.length - 1 : 0].pose;
+        const previous = frames[next - 1];
+        return Animation_Clip.blend(previous.pose, frames[next].pose, (t - previous.time) / (frames[next].time - previous.time));
+    }
+
+    static blend(a, b, s) {
+        // blend(): Blend from pose a (s = 0) towards pose b (s = 1), joint by joint.
+        const pose = {};
+        for (let name of new Set([...Object.keys(a), ...Object.keys(b)]))
+            if (name == "offset")
+                pose.offset = (a.offset || vec3(0, 0, 0)).mix(b.offset || vec3(0, 0, 0), s);
+            else
+                pose[name] = (a[name] || Quaternion.identity()).slerp(b[name] || Quaternion.identity(), s);
+        return pose;
+    }
+}
+
+
+export class Animator {
+    // **Animator** plays Animation_Clips, blended together.  A base clip (like breathing) loops
+    // underneath, while others started with play() run once over it.  Those fade in and back out again,
+    // so that starting or finishing one never makes the pose jump.
+    constructor(base) {
+        Object.assign(this, {base, layers: []});
+    }
+
+    play(clip, t, fade = .1) {
+        // play(): Start a clip at time t, fading it in and out over "fade" seconds.
+        this.layers.push({clip, start: t, fade});
+    }
+
+    playing(t) {
+        // playing(): Whether any clip besides the base is still running at time t.
+        return this.layers.some(({clip, start}) => start <= t && t < start + clip.duration);
+    }
+
+    pose(t) {
+        // pose(): The blended pose at time t.  Layers that have finished get dropped, and so do ones
+        // that start later than t (since time can jump backwards, as when a simulation replays).
+        this.layers = this.layers.filter(({clip, start}) => start <= t && t < start + clip.duration);
+        let pose = this.base.sample(t);
+        for (let {clip, start, fade} of this.layers) {
+            const local = t - start, weight = Math.min(1, local / fade, (clip.duration - local) / fade);
+            pose = Animation_Clip.blend(pose, clip.sample(local), weight);
+        }
+        return pose;
+    }
+}
+
+
+// GLSL shared by the skinning shaders below:  Blend the matrices of a vertex's joints by its weights.
+const skinning_glsl_code = num_joints => `
+    const int N_JOINTS = ` + num_joints + `;
+    attribute vec4 joint_indices, joint_weights;
+    uniform mat4 joint_matrices[N_JOINTS];
+
+    mat4 skin_matrix(){
+        // skin_matrix():  Linear blend skinning -- a weighted average of the joints' matrices.
+        return joint_weights.x * joint_matrices[ int( joint_indices.x + .5 ) ]
+             + joint_weights.y * joint_matrices[ int( joint_indices.y + .5 ) ]
+             + joint_weights.z * joint_matrices[ int( joint_indices.z + .5 ) ]
+             + joint_weights.w * joint_matrices[ int( joint_indices.w + .5 ) ];
+    } `;
+
+function send_joint_matrices(gl, gpu_addresses, matrices = [], num_joints) {
+    // (Internal helper function)  Send a Material's "joint_matrices", filling in the rest with identities.
+    const all = Array(num_joints).fill(0).map((x, i) => matrices[i] || Mat4.identity());
+    gl.uniformMatrix4fv(gpu_addresses.joint_matrices, false, Matrix.flatten_2D_to_1D(all.flatMap(m => m.transposed())));
+}
+
+
+export class Skinned_Phong extends defs.Phong_Shader {
+    // **Skinned_Phong** is a Phong_Shader for shapes bound to a Skeleton by Skeleton.skin().  Before
+    // anything else, each vertex (and its normal) gets moved by a blend of its joints' matrices, which
+    // the Material supplies as "joint_matrices" (from Skeleton.matrices()).  Up to num_joints of them.
+    constructor(num_lights = 2, num_joints = 20) {
+        super(num_lights);
+        this.num_joints = num_joints;
+    }
+
+    vertex_glsl_code() {
+        // ********* VERTEX SHADER *********
+        return this.shared_glsl_code() + skinning_glsl_code(this.num_joints) + `
+            attribute vec3 position, normal;
+            // Position is expressed in object coordinates.
+
+            uniform mat4 model_transform;
+            uniform mat4 projection_camera_model_transform;
+
+            void main(){
+                // Pose the vertex first, then carry on as usual:
+                mat4 skin = skin_matrix();
+                vec4 posed_position = skin * vec4( position, 1.0 );
+                gl_Position = projection_camera_model_transform * posed_position;
+                N = normalize( mat3( model_transform ) * mat3( skin ) * normal / squared_scale);
+                vertex_worldspace = ( model_transform * posed_position ).xyz;
+              } `;
+    }
+
+    update_GPU(context, gpu_addresses, gpu_state, model_transform, material) {
+        // update_GPU(): Send the joints' matrices too.
+        super.update_GPU(context, gpu_addresses, gpu_state, model_transform, material);
+        send_joint_matrices(context, gpu_addresses, material.joint_matrices, this.num_joints);
+    }
+}
+
+
+export class Skinned_Textured_Phong extends defs.Textured_Phong {
+    // **Skinned_Textured_Phong** is Textured_Phong for skinned shapes, posed the same way as Skinned_Phong.
+    constructor(num_lights = 2, num_joints = 20) {
+        super(num_lights);
+        this.num_joints = num_joints;
+    }
+
+    vertex_glsl_code() {
+        // ********* VERTEX SHADER *********
+        return this.shared_glsl_code() + skinning_glsl_code(this.num_joints) + `
+            varying vec2 f_tex_coord;
+            attribute vec3 position, normal;
+            // Position is expressed in object coordinates.
+            attribute vec2 texture_coord;
+
+            uniform mat4 model_transform;
+            uniform mat4 projection_camera_model_transform;
+
+            void main(){
+                // Pose the vertex first, then carry on as usual:
+                mat4 skin = skin_matrix();
+                vec4 posed_position = skin * vec4( position, 1.0 );
+                gl_Position = projection_camera_model_transform * posed_position;
+                N = normalize( mat3( model_transform ) * mat3( skin ) * normal / squared_scale);
+                vertex_worldspace = ( model_transform * posed_position ).xyz;
+                // Turn the per-vertex texture coordinate into an interpolated variable.
+                f_tex_coord = texture_coord;
+              } `;
+    }
+
+    update_GPU(context, gpu_addresses, gpu_state, model_transform, material) {
+        // update_GPU(): Send the joints' matrices too.
+        super.update_GPU(context, gpu_addresses, gpu_state, model_transform, material);
+        send_joint_matrices(context, gpu_addresses, material.joint_matrices, this.num_joints);
+    }
+}
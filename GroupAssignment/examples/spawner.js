@@ -0,0 +1,177 @@
+import {defs, tiny} from './common.js';
+// Pull these names into this module's scope for convenience:
+const {vec3} = tiny;
+
+export class Spawner {
+    // **Spawner** decides when, where and what to spawn, following a plain-data description (which can
+    // come from a JSON file).  The description names some spawn "regions" -- boxes, given by a center and
+    // half sizes, or spheres' surfaces, given by a center and radius -- and lists "waves" to run through
+    // one after another.  Each wave lasts "duration" seconds and spawns at a "rate" (per second) that
+    // ramps from its first number to its second over the wave.  Every spawn gets a shape and a material
+    // picked by weight (like {"rock": 3, "cube": 1}), a size between "min" and "max" (for each axis), a
+    // velocity within "angle" radians of "direction" at a "speed" between two numbers, and a "spin"
+    // rate (radians/sec) between two more, about a random axis.  After the last wave, a description
+    // that says to "repeat" starts over, multiplying each rate, speed and size by its "escalation"
+    // factor once more every round; otherwise the last wave carries on forever.
+
+    // The spawner only hands back plain descriptions of what to spawn (see update()), naming shapes and
+    // materials by their keys, so the scene makes the actual bodies.  It draws all of its random
+    // numbers from the function it's given, so a seeded one makes it repeatable.
+    constructor(description = Spawner.default_description) {
+        this.description = description;
+        this.reset();
+    }
+
+    reset() {
+        // reset(): Go back to the start of the first wave.  Time spent owes spawns, which get paid out
+        // whole; "owed" carries the fraction over to the next step.
+        Object.assign(this, {wave_index: 0, round: 0, wave_time: 0, owed: 0});
+    }
+
+    state() {
+        // state(): Everything that changes as the spawner runs, as plain data (for snapshots).
+        const {wave_index, round, wave_time, owed} = this;
+        return {wave_index, round, wave_time, owed};
+    }
+
+    wave() {
+        // wave(): The description of the wave running now, or the nearest one to a wave_index that's
+        // out of range.
+        const waves = this.description.waves;
+        return waves[Math.max(0, Math.min(this.wave_index, waves.length - 1))];
+    }
+
+    escalation(quantity) {
+        // escalation(): How much to multiply a quantity ("rate", "speed" or "size") by this round.
+        const factor = (this.description.escalation || {})[quantity];
+        return factor === undefined ? 1 : factor ** this.round;
+    }
+
+    rate() {
+        // rate(): How many spawns per second are due right now.
+        const {rate: [start, end = start], duration} = this.wave();
+        return (start + (end - start) * Math.min(this.wave_time / duration, 1)) * this.escalation("rate");
+    }
+
+    time_left() {
+        // time_left(): Seconds until the next wave, or Infinity if this one is the last.
+        return this.is_last_wave() ? Infinity : this.wave().duration - this.wave_time;
+    }
+
+    is_last_wave() {
+        // (Internal helper function)
+        return !this.description.repeat && this.wave_index >= this.description.waves.length - 1;
+    }
+
+    next_wave() {
+        // next_wave(): Skip ahead to the start of the next wave.
+        if (this.is_last_wave())
+            return;
+        Object.assign(this, {wave_index: this.wave_index + 1, wave_time: 0});
+        if (this.wave_index == this.description.waves.length)
+            Object.assign(this, {wave_index: 0, round: this.round + 1});
+    }
+
+    update(dt, random, rate_scale = 1) {
+        // update(): Run the spawner for dt seconds, with its rates multiplied by rate_scale (but no higher
+        // than max_rate).  Returns a list of things to spawn now, each as {shape, material, size, center,
+        // velocity, spin, spin_axis}.
+        const spawns = [];
+        this.owed += Math.min(this.rate() * rate_scale, Spawner.max_rate) * dt;
+        for (; this.owed >= 1; this.owed--)
+            spawns.push(this.spawn(random));
+        this.wave_time += dt;
+        if (this.wave_time >= this.wave().duration && !this.is_last_wave())
+            this.next_wave();
+        return spawns;
+    }
+
+    spawn(random) {
+        // spawn(): Make up one spawn from the current wave.
+        const wave = this.wave(), region = this.description.regions[wave.region],
+            between = ([low, high = low]) => low + (high - low) * random(),
+            {direction, angle = 0, speed} = wave.velocity;
+        const center = region.radius === undefined
+            ? vec3(...region.center).map((x, i) => x + region.half_size[i] * (2 * random() - 1))
+            : defs.Particle_System.sphere(vec3(...region.center), region.radius)(random).position;
+        return {
+            shape: Spawner.pick(wave.shapes, random), material: Spawner.pick(wave.materials, random),
+            size: vec3(...wave.size.min).map((x, i) => between([x, wave.size.max[i]]) * this.escalation("size")),
+            center,
+            velocity: defs.Particle_System.cone(vec3(0, 0, 0), vec3(...direction), angle)(random).direction
+                .times(between(speed) * this.escalation("speed")),
+            spin: between(wave.spin || [0]),
+            spin_axis: defs.Particle_System.random_direction(random)
+        };
+    }
+
+    static pick(weights, random) {
+        // pick(): Choose one of the keys of a {key: weight} object, with chances in proportion to the weights.
+        const entries = Object.entries(weights),
+            total = entries.reduce((sum, [key, weight]) => sum + weight, 0);
+        let r = random() * total;
+        for (let [key, weight] of entries)
+            if ((r -= weight) < 0)
+                return key;
+        return entries[entries.length - 1][0];
+    }
+
+    static problems(description, shape_names, material_names) {
+        // problems(): Check a description before using it, since it can come from anywhere.  Returns a
+        // list of what's wrong with it, which is empty if it's fine.
+        const problems = [],
+            is_vector = v => Array.isArray(v) && v.length == 3 && v.every(Number.isFinite),
+            is_range = r => Array.isArray(r) && r.length > 0 && r.every(Number.isFinite);
+        if (!description || !Array.isArray(description.waves) || !description.waves.length)
+            return ["It needs a list of waves."];
+        const escalation = description.escalation || {};
+        if (typeof escalation != "object" || !Object.values(escalation).every(x => Number.isFinite(x) && x >= 0))
+            problems.push("Its escalation needs to give each factor (rate, speed or size) as a number, not below 0.");
+        for (let [key, region] of Object.entries(description.regions || {}))
+            if (!region || !is_vector(region.center) || (typeof region.radius != "number" && !is_vector(region.half_size)))
+                problems.push("Region \"" + key + "\": It needs a center, and a radius or a half_size ([x, y, z]).");
+        description.waves.forEach((wave, i) => {
+            const name = "Wave " + (i + 1) + ": ";
+            if (!wave || typeof wave != "object")
+                return problems.push(name + "It needs to be an object.");
+            if (!(description.regions || {})[wave.region])
+                problems.push(name + "Its region \"" + wave.region + "\" isn't among the regions.");
+            if (!(wave.duration > 0 && Number.isFinite(wave.duration)) || !is_range(wave.rate))
+                problems.push(name + "It needs a duration and a rate.");
+            else if (!wave.rate.every(x => x >= 0 && x <= Spawner.max_rate))
+                problems.push(name + "Its rate needs to stay between 0 and " + Spawner.max_rate + " per second.");
+            if (!wave.size || !is_vector(wave.size.min) || !is_vector(wave.size.max))
+                problems.push(name + "It needs a size (min and max, each [x, y, z]).");
+            if (!wave.velocity || !is_vector(wave.velocity.direction) || !is_range(wave.velocity.speed))
+                problems.push(name + "It needs a velocity (a direction [x, y, z] and a speed).");
+            if (wave.spin !== undefined && !is_range(wave.spin))
+                problems.push(name + "Its spin needs to be a list of numbers.");
+            for (let [kind, names] of [["shapes", shape_names], ["materials", material_names]]) {
+                const weights = Object.values(wave[kind] || {});
+                if (!weights.length || !weights.every(w => Number.isFinite(w) && w >= 0) ||
+                    !(weights.reduce((sum, w) => sum + w, 0) > 0))
+                    problems.push(name + "It needs " + kind + " to pick from, with weights that add up to more than 0.");
+                for (let key of Object.keys(wave[kind] || {}))
+                    if (!names.includes(key))
+                        problems.push(name + "There are no " + kind + " named \"" + key + "\".");
+            }
+        });
+        return problems;
+    }
+}
+
+// The most spawns per second a spawner makes, however high its rates get scaled and escalated:
+Spawner.max_rate = 100;
+
+// The spawner's description until (or unless) a better one loads:  Rocks of any shape drift in from
+// one region at a steady 2.5 per second.
+Spawner.default_description = {
+    regions: {sky: {center: [50, 25, 0], half_size: [6, 6, 6]}},
+    waves: [{
+        name: "Steady", duration: 60, region: "sky", rate: [2.5],
+        size: {min: [1, 1, 1], max: [1, 2, 1]},
+        shapes: {rock: 1, sphere2: 1, sphere3: 1, cube: 1}, materials: {rock: 1},
+        velocity: {direction: [0, -1, 0], angle: 1.5, speed: [2]}, spin: [0, 1]
+    }],
+    repeat: false
+};
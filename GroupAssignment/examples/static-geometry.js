@@ -0,0 +1,143 @@
+import {tiny} from './common.js';
+// Pull these names into this module's scope for convenience:
+const {vec3, vec4} = tiny;
+
+export class Static_Geometry {
+    // **Static_Geometry** is the base class for immovable collision shapes that make up the world, like
+    // a floor or a wall.  A Simulation keeps a list of them and tests every Body against each one per step.
+    // They answer to the same calls as a Body of infinite mass (inverse_mass(), velocity_at(), ...), so
+    // Simulation.resolve_collision() can bounce bodies off of them exactly like off of each other.
+
+    // Subclasses fill in closest_point(), which finds the nearest point of the solid to a given point
+    // (the point itself if it is inside) and the outward normal there.  contact_test() then compares
+    // that with how far the body's ellipsoid reaches, to report a contact {point, normal, depth}.
+    constructor(restitution = .3, friction = .6) {
+        Object.assign(this, {restitution, friction, center: vec3(0, 0, 0)});
+    }
+
+    inverse_mass() {
+        return 0;
+    }
+
+    inverse_inertia_times(v) {
+        return vec3(0, 0, 0);
+    }
+
+    velocity_at(point) {
+        return vec3(0, 0, 0);
+    }
+
+    angular_velocity_vector() {
+        return vec3(0, 0, 0);
+    }
+
+    apply_force(force, point) {
+    }
+
+    apply_impulse(impulse, point) {
+    }
+
+    apply_angular_impulse(impulse) {
+    }
+
+    static reach(body, direction) {
+        // reach(): How far a body's surface extends from its center along a unit direction.  Bodies
+        // are ellipsoids (the unit sphere, rotated and stretched by size), and for the ellipsoid
+        // x = R*S*u the support distance along n works out to |S * R^T * n|.
+        return body.rotation.conjugate().rotate(direction).times_pairwise(body.size).norm();
+    }
+
+    contact_test(body) {
+        // contact_test(): Return a contact {point, normal, depth} if the body's ellipsoid touches
+        // this solid, with the normal pointing out of the solid towards the body.  Otherwise false.
+        const {point, normal, inside} = this.closest_point(body.center),
+            distance = point.minus(body.center).norm(),
+            depth = Static_Geometry.reach(body, normal) + (inside ? distance : -distance);
+        if (depth <= 0)
+            return false;
+        // Report the contact where the body's surface meets the solid's surface:
+        return {point: body.center.minus(normal.times(Static_Geometry.reach(body, normal) - depth / 2)), normal, depth};
+    }
+}
+
+
+export class Static_Plane extends Static_Geometry {
+    // **Static_Plane** is an infinite flat solid:  Everything behind the plane (opposite to its normal)
+    // counts as inside.  Useful as a catch-all floor.
+    constructor(normal, point_on_plane, restitution, friction) {
+        super(restitution, friction);
+        Object.assign(this, {normal: normal.normalized(), center: point_on_plane});
+    }
+
+    closest_point(p) {
+        const height = p.minus(this.center).dot(this.normal);
+        return {point: p.minus(this.normal.times(height)), normal: this.normal, inside: height < 0};
+    }
+}
+
+
+export class Static_Box extends Static_Geometry {
+    // **Static_Box** is a solid box, given by the same matrix used to draw a Cube (whose corners sit
+    // at +/-1) in that spot.  The matrix may rotate the box, but shouldn't shear it.
+    constructor(matrix, restitution, friction) {
+        super(restitution, friction);
+        // Each column of the matrix holds one of the box's axes, scaled by its half-width:
+        const columns = [0, 1, 2].map(j => vec3(matrix[0][j], matrix[1][j], matrix[2][j]));
+        Object.assign(this, {
+            center: matrix.times(vec4(0, 0, 0, 1)).to3(),
+            axes: columns.map(c => c.normalized()),
+            half_extents: columns.map(c => c.norm())
+        });
+    }
+
+    closest_point(p) {
+        const local = this.axes.map(axis => p.minus(this.center).dot(axis)),
+            clamped = local.map((x, i) => Math.max(-this.half_extents[i], Math.min(this.half_extents[i], x))),
+            to_world = coords => coords.reduce((acc, x, i) => acc.plus(this.axes[i].times(x)), this.center);
+        const outside = local.some((x, i) => x != clamped[i]);
+        if (outside) {
+            const point = to_world(clamped);
+            return {point, normal: p.minus(point).normalized(), inside: false};
+        }
+        // The point is inside, so it leaves the box quickest through the nearest face:
+        const gaps = local.map((x, i) => this.half_extents[i] - Math.abs(x)),
+            i = gaps.indexOf(Math.min(...gaps)), side = local[i] < 0 ? -1 : 1;
+        clamped[i] = side * this.half_extents[i];
+        return {point: to_world(clamped), normal: this.axes[i].times(side), inside: true};
+    }
+}
+
+
+export class Static_Cylinder extends Static_Geometry {
+    // **Static_Cylinder** is a solid capped cylinder, given by the same matrix used to draw a
+    // Cylindrical_Tube in that spot:  The tube's radius is 1 around its local z axis, which it
+    // spans from -1/2 to 1/2.  The matrix should scale both of the other axes by the same amount.
+    constructor(matrix, restitution, friction) {
+        super(restitution, friction);
+        const axis = matrix.times(vec4(0, 0, 1, 0)).to3();
+        Object.assign(this, {
+            center: matrix.times(vec4(0, 0, 0, 1)).to3(),
+            axis: axis.normalized(),
+            half_height: axis.norm() / 2,
+            radius: matrix.times(vec4(1, 0, 0, 0)).to3().norm()
+        });
+    }
+
+    closest_point(p) {
+        const offset = p.minus(this.center), height = offset.dot(this.axis),
+            radial = offset.minus(this.axis.times(height)), radial_distance = radial.norm(),
+            out = radial_distance > 1E-9 ? radial.times(1 / radial_distance) : vec3(1, 0, 0).cross(this.axis).normalized(),
+            clamped_height = Math.max(-this.half_height, Math.min(this.half_height, height)),
+            clamped_radial = Math.min(radial_distance, this.radius);
+        if (clamped_height != height || clamped_radial != radial_distance) {
+            const point = this.center.plus(this.axis.times(clamped_height)).plus(out.times(clamped_radial));
+            return {point, normal: p.minus(point).normalized(), inside: false};
+        }
+        // Inside:  Leave through the curved side or through a cap, whichever is nearer.
+        const side_gap = this.radius - radial_distance, cap_gap = this.half_height - Math.abs(height);
+        if (side_gap < cap_gap)
+            return {point: this.center.plus(this.axis.times(height)).plus(out.times(this.radius)), normal: out, inside: true};
+        const cap_normal = this.axis.times(height < 0 ? -1 : 1);
+        return {point: p.plus(cap_normal.times(cap_gap)), normal: cap_normal, inside: true};
+    }
+}
@@ -1,13 +1,26 @@
 import {defs, tiny} from './examples/common.js';
 import {Shape_From_File} from "./examples/obj-file-demo.js";
-import {Color_Phong_Shader, Shadow_Textured_Phong_Shader,
-    Depth_Texture_Shader_2D, Buffered_Texture, LIGHT_DEPTH_TEX_SIZE} from './examples/shadow-demo-shaders.js'
+import {Spatial_Hash} from "./examples/broad-phase.js";
+import {Mesh_Collider} from "./examples/mesh-collider.js";
+import {Static_Box} from "./examples/static-geometry.js";
+import {Integrators} from "./examples/integrators.js";
+import {Inertia} from "./examples/inertia.js";
+import {Fracture, Fragment_Shape} from "./examples/fracture.js";
+import {Spawner} from "./examples/spawner.js";
+import {Scoreboard} from "./examples/scoreboard.js";
+import {Text_Line} from "./examples/text-demo.js";
+import {Skeleton, Animation_Clip, Animator} from "./examples/skinning.js";
+import {Scene_Description} from "./examples/scene-description.js";
+import {Constraint, Distance_Constraint, Weld_Constraint, Hinge_Constraint, Spring} from "./examples/constraints.js";
+import {Sphere_Collider, Ellipsoid_Collider, Box_Collider, Hull_Collider} from "./examples/narrow-phase.js";
+import {Shadow_Map} from './examples/shadow-map.js';
+import group_scene from "./assets/group-scene.json" with {type: "json"};
 
 const {
-    Vector, Vector3, vec, vec3, vec4, color, hex_color, Shader, Matrix, Mat4, Light, Shape, Material, Scene, Texture
+    Vector, Vector3, vec, vec3, vec4, color, hex_color, Shader, Matrix, Mat4, Quaternion, Random, Light, Scene_Node, Shape, Material, Scene, Texture
 } = tiny;
 
-const {Cube, Axis_Arrows, Textured_Phong} = defs
+const {Cube, Axis_Arrows, Phong_Shader, Textured_Phong} = defs
 
 export class Body {
     // **Body** can store and update the properties of a 3D body that incrementally
@@ -17,6 +30,121 @@ export class Body {
         Object.assign(this,
             {shape, material, size, user_projectile})
         this.hit = false;
+        // Physical properties for collision response.  Mass defaults to the volume of the body's
+        // stretched unit shape (at a density of 1); give immovable bodies a mass of Infinity.
+        // Restitution is how much bounce survives a hit, and friction how much sliding is resisted.
+        Object.assign(this, {mass: size[0] * size[1] * size[2], restitution: .45, friction: .5});
+        // A body that has come to rest on something solid goes to sleep:  It stops moving and acts
+        // immovable until something hits it hard enough to wake it.  See Simulation.update_sleep().
+        Object.assign(this, {sleeping: false, supported: false, resting_steps: 0});
+        // Forces and torques applied during a step add up here, until advance() uses and clears them:
+        this.clear_forces();
+    }
+
+    apply_force(force, point) {
+        // apply_force(): Push on the body for the rest of this step.  A force applied at a world space
+        // point other than the center also adds the torque it causes.
+        this.force = this.force.plus(force);
+        if (point)
+            this.apply_torque(point.minus(this.center).cross(force));
+    }
+
+    apply_torque(torque) {
+        // apply_torque(): Twist the body for the rest of this step.
+        this.torque = this.torque.plus(torque);
+    }
+
+    clear_forces() {
+        // clear_forces(): Forget the accumulated forces and torques, to start the next step fresh.
+        Object.assign(this, {force: vec3(0, 0, 0), torque: vec3(0, 0, 0)});
+    }
+
+    acceleration(center, linear_velocity) {
+        // acceleration(): How fast the body's velocity is changing when it's at the given center with
+        // the given velocity.  The integrators ask this at in-between states during a step.  By default
+        // it's just the accumulated force over the mass; forces that depend on position or speed (like
+        // drag) can be added by overriding it.
+        return this.force.times(this.inverse_mass());
+    }
+
+    inverse_mass() {
+        // Sleeping bodies stay put when touched, so that gentle contacts (like another rock
+        // settling on top) can't nudge a resting pile apart.
+        return this.sleeping ? 0 : 1 / this.mass;
+    }
+
+    principal_moments() {
+        // principal_moments(): The body's moments of inertia about its own axes, which follow from its
+        // shape, size and mass (see Inertia).  Mass can change after construction, so ask each time.
+        return Inertia.principal_moments(this.shape, this.size, this.mass);
+    }
+
+    inverse_inertia_times(v) {
+        // inverse_inertia_times(): Rotational counterpart of inverse_mass():  Multiply a world space
+        // vector (like an angular momentum) by the inverse of the body's inertia tensor as it's turned
+        // right now.  Sleeping bodies resist spinning completely, like they resist moving.
+        if (this.sleeping)
+            return vec3(0, 0, 0);
+        return Inertia.world_times(this.rotation, this.principal_moments().map(x => 1 / x), v);
+    }
+
+    sleep() {
+        // sleep(): Stop the body exactly where it is.  Simulations skip it until wake() is called, so
+        // bring its drawn location (and that matrix's inverse, for collision tests) up to date for good.
+        Object.assign(this, {sleeping: true, linear_velocity: vec3(0, 0, 0), angular_momentum: vec3(0, 0, 0),
+            previous: {center: this.center.copy(), rotation: this.rotation.copy()}});
+        this.clear_forces();
+        this.blend_state(1);
+        this.inverse = Mat4.inverse(this.drawn_location);
+    }
+
+    wake() {
+        // wake(): Let a sleeping body move again.  It no longer belongs to the island it slept in.
+        Object.assign(this, {sleeping: false, resting_steps: 0, island: undefined});
+    }
+
+    angular_velocity_vector() {
+        // angular_velocity_vector(): The body's spin as one vector (radians/sec) along its current spin
+        // axis.  The body stores angular momentum instead, since that's what torque changes directly.
+        return this.inverse_inertia_times(this.angular_momentum);
+    }
+
+    set_angular_velocity_vector(w) {
+        // set_angular_velocity_vector(): Set the angular momentum that spins the body at w right now.
+        this.angular_momentum = Inertia.world_times(this.rotation, this.principal_moments(), w);
+    }
+
+    velocity_at(point) {
+        // velocity_at(): The velocity of the body's material at a world space point,
+        // which includes the motion of that point around the center due to spinning.
+        return this.linear_velocity.plus(this.angular_velocity_vector().cross(point.minus(this.center)));
+    }
+
+    apply_impulse(impulse, point) {
+        // apply_impulse(): Instantly change the body's momentum by the impulse vector, applied at a
+        // world space point.  Off-center impulses change the spin as well, through their torque.
+        if (this.sleeping)
+            return;
+        this.linear_velocity = this.linear_velocity.plus(impulse.times(this.inverse_mass()));
+        this.angular_momentum = this.angular_momentum.plus(point.minus(this.center).cross(impulse));
+    }
+
+    apply_angular_impulse(impulse) {
+        // apply_angular_impulse(): Instantly change the body's angular momentum, without moving it.
+        if (!this.sleeping)
+            this.angular_momentum = this.angular_momentum.plus(impulse);
+    }
+
+    integrate_forces(dt) {
+        // integrate_forces(): Turn the forces and torques accumulated so far into velocity right away,
+        // instead of leaving them for advance(), which then just moves the body.  Constraints work on
+        // velocities, so the constraint solver needs to see this step's forces in them.  (That makes
+        // this semi-implicit Euler for constrained bodies, whichever integrator is selected.)
+        if (this.sleeping)
+            return;
+        this.linear_velocity = this.linear_velocity.plus(this.force.times(this.inverse_mass() * dt));
+        this.angular_momentum = this.angular_momentum.plus(this.torque.times(dt));
+        this.clear_forces();
     }
 
     // (within some margin of distance).
@@ -30,34 +158,69 @@ export class Body {
 
     emplace(location_matrix, linear_velocity, angular_velocity, spin_axis = vec3(0, 0, 0).randomized(1).normalized()) {                               // emplace(): assign the body's initial values, or overwrite them.
         this.center = location_matrix.times(vec4(0, 0, 0, 1)).to3();
-        this.rotation = Mat4.translation(...this.center.times(-1)).times(location_matrix);
+        // Keep the orientation as a unit quaternion.  Any uniform scale in location_matrix is
+        // dropped here; stretching a moving body belongs in its "size" instead.
+        this.rotation = Quaternion.from_matrix(location_matrix);
         this.previous = {center: this.center.copy(), rotation: this.rotation.copy()};
         // drawn_location gets replaced with an interpolated quantity:
         this.drawn_location = location_matrix;
         this.temp_matrix = Mat4.identity();
-        return Object.assign(this, {linear_velocity, angular_velocity, spin_axis})
+        this.linear_velocity = linear_velocity;
+        this.set_angular_velocity_vector(spin_axis.times(angular_velocity));
+        return this;
     }
 
-    advance(time_amount) {
-        // advance(): Perform an integration (the simplistic Forward Euler method) to
-        // advance all the linear and angular velocities one time-step forward.
+    advance(time_amount, integrate = Integrators.semi_implicit_euler) {
+        // advance(): Perform an integration (with one of the methods in Integrators) to advance
+        // the position and velocity one time-step forward under the accumulated forces.
         this.previous = {center: this.center.copy(), rotation: this.rotation.copy()};
-        // Apply the velocities scaled proportionally to real time (time_amount):
-        // Linear velocity first, then angular:
-        this.center = this.center.plus(this.linear_velocity.times(time_amount));
-        this.rotation.pre_multiply(Mat4.rotation(time_amount * this.angular_velocity, ...this.spin_axis));
+        if (this.sleeping)
+            return this.clear_forces();
+        // Linear motion first, then angular.  The spin is updated semi-implicitly:  Torque changes
+        // the angular momentum, and then the orientation turns by the angular velocity that results.
+        integrate(this, time_amount);
+        this.angular_momentum = this.angular_momentum.plus(this.torque.times(time_amount));
+        const w = this.angular_velocity_vector();
+        this.rotation = Quaternion.from_axis_angle(time_amount * w.norm(), ...w)
+            .times(this.rotation).normalized();
+        this.clear_forces();
     }
 
     // The following are our various functions for testing a single point,
     // p, against some analytically-known geometric volume formula
 
-    blend_rotation(alpha) {
-        // blend_rotation(): Just naively do a linear blend of the rotations, which looks
-        // ok sometimes but otherwise produces shear matrices, a wrong result.
+    to_json(shapes, materials) {
+        // to_json(): Describe the body's state as plain data, naming its shape and material by their
+        // keys in the given dictionaries (such as a scene's this.shapes and this.materials).  An
+        // immovable body's mass of Infinity comes out as null in JSON.
+        const key = (dictionary, value) => Object.keys(dictionary).find(k => dictionary[k] === value);
+        return {
+            shape: key(shapes, this.shape), material: key(materials, this.material),
+            size: [...this.size], user_projectile: this.user_projectile, hit: this.hit,
+            mass: this.mass, restitution: this.restitution, friction: this.friction,
+            center: [...this.center], rotation: [...this.rotation],
+            linear_velocity: [...this.linear_velocity], angular_momentum: [...this.angular_momentum],
+            sleeping: this.sleeping, resting_steps: this.resting_steps
+        };
+    }
 
-        // TODO:  Replace this function with proper quaternion blending, and perhaps
-        // store this.rotation in quaternion form instead for compactness.
-        return this.rotation.map((x, i) => vec4(...this.previous.rotation[i]).mix(x, alpha));
+    static from_json(data, shapes, materials) {
+        // from_json(): Re-create a body from the output of to_json(), exactly as it was.
+        const body = new Body(shapes[data.shape], materials[data.material], vec3(...data.size), data.user_projectile)
+            .emplace(Mat4.translation(...data.center), vec3(...data.linear_velocity), 0);
+        body.rotation = Quaternion.create(...data.rotation);
+        body.previous.rotation = body.rotation.copy();
+        body.angular_momentum = vec3(...data.angular_momentum);
+        body.blend_state(1);
+        const {hit, restitution, friction, sleeping, resting_steps} = data;
+        return Object.assign(body, {hit, mass: data.mass === null ? Infinity : data.mass, restitution, friction,
+            sleeping, resting_steps});
+    }
+
+    blend_rotation(alpha) {
+        // blend_rotation(): Spherically interpolate between the previous and current
+        // orientations.  Unlike blending matrix rows, this always yields a rigid rotation.
+        return this.previous.rotation.slerp(this.rotation, alpha).to_mat4();
     }
 
     blend_state(alpha) {
@@ -70,7 +233,9 @@ export class Body {
     }
 
     check_if_colliding(b, collider) {
-        // check_if_colliding(): Collision detection function.
+        // check_if_colliding(): Collision detection function.  Returns a contact {point, normal,
+        // depth} in world space when the bodies touch (the normal points from b towards this body),
+        // or false when they don't.
         // DISCLAIMER:  The collision method shown below is not used by anyone; it's just very quick
         // to code.  Making every collision body an ellipsoid is kind of a hack, and looping
         // through a list of discrete sphere points to see if the ellipsoids intersect is *really* a
@@ -79,6 +244,10 @@ export class Body {
         if (this == b)
             return false;
         // Nothing collides with itself.
+        // Colliders that can do better than a yes/no answer (such as a Mesh_Collider) test the
+        // bodies themselves and return a contact {point, normal, depth}, or false for no contact:
+        if (collider.contact_test)
+            return collider.contact_test(this, b, collider.leeway);
         // Convert sphere b to the frame where a is a unit sphere:
         const T = this.inverse.times(b.drawn_location.times(Mat4.scale(1,1.5,1)), this.temp_matrix);
 
@@ -86,8 +255,22 @@ export class Body {
         // For each vertex in that b, shift to the coordinate frame of
         // a_inv*b.  Check if in that coordinate frame it penetrates
         // the unit sphere at the origin.  Leave some leeway.
-        return points.arrays.position.some(p =>
-            intersect_test(T.times(p.to4(1)).to3(), leeway));
+        const inside = points.arrays.position.map(p => T.times(p.to4(1)).to3())
+            .filter(p => intersect_test(p, leeway));
+        if (!inside.length)
+            return false;
+        // Estimate a contact from the penetrating points:  Their average is the contact point, and
+        // the normal points from there back towards a's center (from b towards a).
+        const c = inside.reduce((acc, p) => acc.plus(p), vec3(0, 0, 0)).times(1 / inside.length),
+            a_center = this.drawn_location.times(vec4(0, 0, 0, 1)).to3(),
+            point = this.drawn_location.times(c.to4(1)).to3();
+        let normal = a_center.minus(point);
+        if (normal.norm() < 1E-6)
+            normal = a_center.minus(b.drawn_location.times(vec4(0, 0, 0, 1)).to3());
+        // The depth is how far the point sits inside a's surface (measured along c's direction):
+        const distance = c.norm(), surface = this.drawn_location.times(
+            (distance > 1E-6 ? c.times(Math.sqrt(1 + leeway) / distance) : c).to4(1)).to3();
+        return {point, normal: normal.normalized(), depth: surface.minus(point).norm()};
     }
 }
 
@@ -99,9 +282,589 @@ export class Simulation extends Scene {
     constructor() {
         super();
         Object.assign(this, {time_accumulator: 0, time_scale: 1, t: 0, dt: 1 / 20, bodies: [], steps_taken: 0});
+        // Subclasses can swap in a broad phase with a cell size and padding that suits their bodies:
+        this.broad_phase = new Spatial_Hash();
+        // The immovable parts of the world (floors, walls, pillars) as Static_Geometry.  Every body
+        // is tested against each of them once per step, right after update_state():
+        this.static_geometry = [];
+        // Contacts slower than resting_speed don't bounce, so bodies can settle instead of jittering.
+        // Bodies that stay supported and slower than sleep_speed for sleep_steps steps fall asleep (as
+        // whole islands; see update_sleep()), and only wake again when something hits one of them faster
+        // than resting_speed.  Sleeping bodies cost nothing to step.  Supported bodies also lose a
+        // rolling_resistance fraction of their speed per step, or round ones would roll forever.
+        Object.assign(this, {resting_speed: 1, sleep_speed: .3, sleep_steps: 15, rolling_resistance: .05});
+        // Pairs of movable bodies that touched during the current step:
+        this.touching = [];
+        // Everything else that wants to react to collisions (see subscribe()), and every pair of things
+        // in contact as of the last step and so far this step, as maps from a to b to the latest event:
+        Object.assign(this, {collision_listeners: [], contacts: new Map(), new_contacts: new Map()});
+        // Joints and springs between bodies (see Constraint), solved together constraint_iterations
+        // times per step.  Bodies joined by a constraint don't collide with each other:
+        Object.assign(this, {constraints: [], constraint_iterations: 10});
+        // The numerical method used to move every body (see Integrators), picked from this list:
+        this.integrators = [
+            {name: "Forward Euler", integrate: Integrators.forward_euler},
+            {name: "Semi-implicit Euler", integrate: Integrators.semi_implicit_euler},
+            {name: "Velocity Verlet", integrate: Integrators.verlet},
+            {name: "RK4", integrate: Integrators.rk4}
+        ];
+        this.integrator_selection = 1;
+        // Settings like the one above change how the simulation behaves.  They should only change
+        // through "setting" inputs (see queue_input()), and recordings and snapshots save them all:
+        this.recorded_settings = ["integrator_selection"];
+
+        // Every random choice the simulation makes is drawn from this.random(), a seeded generator, and
+        // every outside input (like the user throwing a rock) goes through queue_input().  That makes a
+        // run depend only on its seed and its inputs, so it can be recorded and replayed exactly.  Each
+        // session picks its own seed (see set_seed() for running one again), and its recording keeps it:
+        this.seed = Date.now() % 2 ** 32;
+        this.rng = new Random(this.seed);
+        this.random = this.rng.next;
+        this.pending_inputs = [];
+        this.replaying = false;
+        this.start_recording();
         this.light = 0;
     }
 
+    candidate_pairs(extra_bodies = []) {
+        // candidate_pairs(): Register every body (plus any extra ones that aren't simulated, like
+        // obstacles) with the broad phase, and return only the pairs [a, b] that are close enough
+        // to be worth handing to the narrow-phase collider.
+        this.broad_phase.clear();
+        for (let b of [...this.bodies, ...extra_bodies])
+            this.broad_phase.insert(b);
+        return this.broad_phase.candidate_pairs();
+    }
+
+    subscribe(callback, phases = ["begin", "stay", "end"]) {
+        // subscribe(): Call callback(event) for every collision from now on, in any of the given phases.
+        // Each pair of things in contact gets a "begin" event in the step they first touch, "stay"
+        // events while they go on touching, and an "end" event in the step they come apart.  An event
+        // is {phase, a, b, point, normal, relative_speed, impulse}:  The normal points from b towards a,
+        // relative_speed is how fast they were closing along it (before bouncing), and impulse is what
+        // a got pushed with (b got the opposite).  An "end" event repeats the pair's last contact, with
+        // no impulse.  Returns the callback, for unsubscribe().
+        this.collision_listeners.push({callback, phases});
+        return callback;
+    }
+
+    unsubscribe(callback) {
+        // unsubscribe(): Stop calling a callback passed to subscribe().
+        this.collision_listeners = this.collision_listeners.filter(listener => listener.callback !== callback);
+    }
+
+    emit_collision(event) {
+        // (Internal helper function)
+        for (let {callback, phases} of this.collision_listeners)
+            if (phases.includes(event.phase))
+                callback(event);
+    }
+
+    static contact_between(contacts, a, b) {
+        // (Internal helper function)  Find a and b's entry (in either order) in a map of contacts.
+        return (contacts.get(a) || new Map()).get(b) || (contacts.get(b) || new Map()).get(a);
+    }
+
+    resolve_collision(a, b, contact) {
+        // resolve_collision(): Respond to bodies a and b touching (see apply_contact()), then report it
+        // to everything subscribed (see subscribe()).
+        const {point, normal} = contact,
+            relative_speed = b.velocity_at(point).minus(a.velocity_at(point)).dot(normal),
+            impulse = this.apply_contact(a, b, contact);
+        // A pair touching more than once in a step (say, at two corners) has begun by the second time:
+        const touched = Simulation.contact_between(this.contacts, a, b) || Simulation.contact_between(this.new_contacts, a, b),
+            event = {phase: touched ? "stay" : "begin", a, b, point, normal, relative_speed, impulse};
+        if (!this.new_contacts.has(a))
+            this.new_contacts.set(a, new Map());
+        this.new_contacts.get(a).set(b, event);
+        this.emit_collision(event);
+    }
+
+    end_contacts() {
+        // end_contacts(): At the end of a step, report the pairs that touched last step but not this one
+        // as having come apart.  Pairs that neither body can move in (like a sleeping pile) don't get
+        // tested for contact, but still touch; those carry over until one of them wakes or is removed.
+        const alive = new Set(this.bodies);
+        for (let [a, others] of this.contacts)
+            for (let [b, event] of others) {
+                if (Simulation.contact_between(this.new_contacts, a, b))
+                    continue;
+                const resting = [a, b].some(body => body.sleeping) && !a.inverse_mass() && !b.inverse_mass()
+                    && [a, b].every(body => !body.sleeping || alive.has(body));
+                if (resting) {
+                    if (!this.new_contacts.has(a))
+                        this.new_contacts.set(a, new Map());
+                    this.new_contacts.get(a).set(b, event);
+                } else
+                    this.emit_collision(Object.assign({}, event, {phase: "end", impulse: vec3(0, 0, 0)}));
+            }
+        Object.assign(this, {contacts: this.new_contacts, new_contacts: new Map()});
+    }
+
+    apply_contact(a, b, contact) {
+        // apply_contact(): Push two touching bodies apart with equal and opposite impulses, so that
+        // momentum is conserved.  The impulse along the contact normal makes them bounce (scaled by
+        // restitution), while the one along the surface resists sliding (limited by friction), and
+        // both produce torque when they land off-center.  Bodies of infinite mass never move.  Returns
+        // the impulse applied to a.
+        const {point, normal, depth} = contact;
+        // A sleeping body wakes up (with its whole island) when hit hard, but shrugs off anything gentler:
+        if (a.sleeping || b.sleeping) {
+            if (a.velocity_at(point).minus(b.velocity_at(point)).dot(normal) < -this.resting_speed)
+                for (let body of [a, b])
+                    if (body.sleeping) this.wake(body);
+        }
+        // Touching bodies that can both move share an island:
+        if (isFinite(a.mass) && isFinite(b.mass))
+            this.touching.push([a, b]);
+        // Anything resting on an immovable or sleeping body below it is supported:
+        if (normal[1] > .5 && !b.inverse_mass())
+            a.supported = true;
+        if (normal[1] < -.5 && !a.inverse_mass())
+            b.supported = true;
+        const ra = point.minus(a.center), rb = point.minus(b.center),
+            inverse_masses = a.inverse_mass() + b.inverse_mass();
+        if (!inverse_masses)
+            return vec3(0, 0, 0);
+        // How hard it is to change the bodies' relative velocity at the contact point along some
+        // direction, counting both their masses and their resistance to spinning:
+        const effective_inverse_mass = d => inverse_masses
+            + a.inverse_inertia_times(ra.cross(d)).dot(ra.cross(d)) + b.inverse_inertia_times(rb.cross(d)).dot(rb.cross(d));
+
+        // Separate the bodies so they don't stay stuck inside each other, moving the lighter one more:
+        const correction = normal.times(Math.max(depth - .01, 0) * .8 / inverse_masses);
+        a.center = a.center.plus(correction.times(a.inverse_mass()));
+        b.center = b.center.minus(correction.times(b.inverse_mass()));
+
+        const relative_velocity = a.velocity_at(point).minus(b.velocity_at(point)),
+            approach_speed = relative_velocity.dot(normal);
+        // Bodies that are already separating need no impulse:
+        if (approach_speed >= 0)
+            return vec3(0, 0, 0);
+        // Slow contacts are resting contacts, which shouldn't bounce:
+        const restitution = approach_speed > -this.resting_speed ? 0 : Math.min(a.restitution, b.restitution),
+            friction = Math.sqrt(a.friction * b.friction);
+        const j = -(1 + restitution) * approach_speed / effective_inverse_mass(normal);
+
+        // Coulomb friction:  Cancel the sliding velocity, but with no more than friction * j.
+        let impulse = normal.times(j);
+        const sliding = relative_velocity.minus(normal.times(approach_speed)), sliding_speed = sliding.norm();
+        if (sliding_speed > 1E-6) {
+            const tangent = sliding.times(1 / sliding_speed),
+                jt = Math.min(sliding_speed / effective_inverse_mass(tangent), friction * j);
+            impulse = impulse.minus(tangent.times(jt));
+        }
+        a.apply_impulse(impulse, point);
+        b.apply_impulse(impulse.times(-1), point);
+        return impulse;
+    }
+
+    connected(a, b) {
+        // connected(): Whether a constraint joins bodies a and b.
+        return this.constraints.some(c => c.connects(a, b));
+    }
+
+    solve_constraints(dt) {
+        // solve_constraints(): Make the bodies' velocities obey every constraint, before they get used
+        // to move the bodies.  Constraints that held too hard this step break, and ones whose bodies
+        // are gone get dropped.  Ones with no awake body left to move are skipped.
+        const alive = new Set(this.bodies);
+        this.constraints = this.constraints.filter(c =>
+            !c.broken && [c.a, c.b].every(body => body === Constraint.world || alive.has(body)));
+        // Connected bodies wake each other up when one gets yanked hard enough:
+        for (let c of this.constraints)
+            for (let [x, y] of [[c.a, c.b], [c.b, c.a]])
+                if (x.sleeping && y !== Constraint.world && !y.sleeping && y.linear_velocity.norm() > this.resting_speed)
+                    this.wake(x);
+        const active = this.constraints.filter(c => [c.a, c.b].some(body => body !== Constraint.world && !body.sleeping));
+        if (!active.length)
+            return;
+        for (let c of active)
+            c.prepare(dt);
+        // The solver works on velocities, so put this step's forces into them first:
+        const constrained = new Set(active.flatMap(c => [c.a, c.b]));
+        constrained.delete(Constraint.world);
+        for (let body of constrained)
+            body.integrate_forces(dt);
+        for (let i = 0; i < this.constraint_iterations; i++)
+            for (let c of active)
+                c.solve(dt);
+        for (let c of active)
+            if (c.strain() > c.break_impulse) {
+                c.broken = true;
+                this.log_event({type: "break", constraint: c.constructor.name, strain: c.strain()});
+            }
+    }
+
+    collide_with_static_geometry() {
+        // collide_with_static_geometry(): Keep every awake body out of the world's static geometry.
+        for (let b of this.bodies)
+            for (let g of b.sleeping ? [] : this.static_geometry) {
+                const contact = g.contact_test(b);
+                if (contact)
+                    this.resolve_collision(b, g, contact);
+            }
+    }
+
+    obstacle_contact(b) {
+        // obstacle_contact(): Test body b, wherever it currently is, against the immovable things it
+        // could tunnel through.  Return the first one touched as {other, contact}, or undefined.
+        // Subclasses with immovable bodies of their own should extend this.
+        for (let g of this.static_geometry) {
+            const contact = g.contact_test(b);
+            if (contact)
+                return {other: g, contact};
+        }
+    }
+
+    advance_swept(b, dt, integrate) {
+        // advance_swept(): Advance a fast body (like a thrown rock) with continuous collision detection.
+        // A plain advance() only checks where a body ends up, so in one step a fast one can jump clean
+        // past anything thinner than the distance it travels.  Instead, sweep the body along its path in
+        // pieces no longer than half its smallest radius.  If it touches an obstacle anywhere along the
+        // way, narrow down the time of impact by bisection, stop the body there, and bounce it off.
+        const start = {center: b.center.copy(), rotation: b.rotation.copy()};
+        b.advance(dt, integrate);
+        const end = {center: b.center, rotation: b.rotation},
+            pieces = Math.ceil(end.center.minus(start.center).norm() / (Math.min(...b.size) / 2));
+        const place = s => {
+            // Put the body at fraction s of the way along its path, and test it there:
+            b.center = start.center.mix(end.center, s);
+            b.rotation = start.rotation.slerp(end.rotation, s);
+            b.blend_state(1);
+            b.inverse = Mat4.inverse(b.drawn_location);
+            return this.obstacle_contact(b);
+        };
+        // Slow bodies can't skip anything, and ones that start out touching are handled by the
+        // usual collision pass instead:
+        let free = 0, touching;
+        if (pieces > 1 && !place(0))
+            for (let i = 1; i <= pieces && touching === undefined; i++)
+                if (place(i / pieces))
+                    touching = i / pieces;
+                else
+                    free = i / pieces;
+        if (touching === undefined)
+            return Object.assign(b, end);
+        for (let i = 0; i < 8; i++) {
+            const middle = (free + touching) / 2;
+            if (place(middle))
+                touching = middle;
+            else
+                free = middle;
+        }
+        // The body gives up the rest of the step's motion, stopping at the time of impact:
+        const {other, contact} = place(touching);
+        b.hit = true;
+        this.resolve_collision(b, other, contact);
+    }
+
+    islands() {
+        // islands(): Split the bodies into groups that can affect each other:  Bodies that touched this
+        // step, or that a constraint joins, belong together, and so do bodies that fell asleep together.
+        // Uses a union-find forest, where each group is known by the body at its root.
+        const parent = new Map(this.bodies.map(b => [b, b]));
+        const root = b => {
+            while (parent.get(b) !== b)
+                parent.set(b, parent.get(parent.get(b))), b = parent.get(b);
+            return b;
+        };
+        const join = (a, b) => parent.has(a) && parent.has(b) && parent.set(root(a), root(b));
+        for (let b of this.bodies)
+            if (b.island)
+                join(b, b.island.find(other => parent.has(other)));
+        for (let [a, b] of this.touching)
+            join(a, b);
+        for (let c of this.constraints)
+            join(c.a, c.b);
+        const islands = new Map();
+        for (let b of this.bodies) {
+            const r = root(b);
+            islands.has(r) ? islands.get(r).push(b) : islands.set(r, [b]);
+        }
+        return [...islands.values()];
+    }
+
+    update_sleep() {
+        // update_sleep(): Count how long each awake body has sat still while its island was supported,
+        // and put an island to sleep once all of its bodies have for long enough.  An island is supported
+        // when one of its bodies rests on something immovable (or asleep), or a constraint holds it to
+        // the world.  Islands sleep whole, and remember who was in them, so that whatever wakes one of
+        // their bodies wakes them all (see wake()).  A pile or a stack can't lose its bottom and float.
+        const anchored = new Set(this.constraints.flatMap(c => [c.a, c.b]
+            .filter(body => body !== Constraint.world && [c.a, c.b].includes(Constraint.world))));
+        for (let island of this.islands()) {
+            const awake = island.filter(b => !b.sleeping);
+            if (!awake.length)
+                continue;
+            const supported = island.some(b => b.supported || anchored.has(b));
+            for (let b of awake) {
+                if (b.supported) {
+                    b.linear_velocity.scale_by(1 - this.rolling_resistance);
+                    b.angular_momentum.scale_by(1 - this.rolling_resistance);
+                }
+                const still = b.linear_velocity.norm() < this.sleep_speed && b.angular_velocity_vector().norm() < this.sleep_speed;
+                b.resting_steps = supported && still ? b.resting_steps + 1 : 0;
+            }
+            if (awake.every(b => b.resting_steps > this.sleep_steps))
+                for (let b of island) {
+                    if (!b.sleeping)
+                        b.sleep();
+                    b.island = island;
+                }
+        }
+        for (let b of this.bodies)
+            b.supported = false;
+    }
+
+    wake(body) {
+        // wake(): Wake a sleeping body, along with the rest of the island it fell asleep with.
+        for (let b of body.island || [body])
+            b.wake();
+    }
+
+    settings() {
+        // settings(): The current values of all the recorded_settings, by name.
+        return Object.fromEntries(this.recorded_settings.map(name => [name, this[name]]));
+    }
+
+    change_setting(name, value) {
+        // change_setting(): Request a change to one of the recorded_settings, starting next step.
+        this.queue_input({type: "setting", name, value});
+    }
+
+    start_recording(start) {
+        // start_recording(): Begin a fresh recording from the current (starting) state.  Besides the
+        // seed and settings needed to start over, it lists every input along with the step it took
+        // effect at, plus a log of what the simulation did on its own (see log_event()).  Recordings
+        // begun from a loaded snapshot instead of from scratch keep that snapshot as their "start".
+        this.recording = {seed: this.seed, settings: this.settings(), start, steps: this.steps_taken, inputs: [], log: []};
+    }
+
+    queue_input(input) {
+        // queue_input(): Request an input (an object with a "type" and any plain data) to take effect at
+        // the start of the next step, where it gets recorded and passed to handle_input().  A replay
+        // only repeats the inputs it recorded, so new ones are ignored until it catches up.
+        if (!this.replaying)
+            this.pending_inputs.push(input);
+    }
+
+    handle_input(input) {
+        // handle_input(): Carry out one input.  Subclasses handle their own kinds of input, passing
+        // the rest on to here.  Draw any randomness needed from this.random(), never from Math.random().
+        if (input.type == "setting")
+            this[input.name] = input.value;
+    }
+
+    log_event(event) {
+        // log_event(): Note something the simulation did on its own (like spawning a rock) in the
+        // recording.  Replays re-create such events from the same seed, so they aren't logged twice.
+        if (!this.replaying)
+            this.recording.log.push(Object.assign({step: this.steps_taken}, event));
+    }
+
+    reset() {
+        // reset(): Go back to the very beginning of a run of the recording's seed.  Subclasses should
+        // extend this to reset anything else that update_state() relies on.
+        Object.assign(this, {t: 0, steps_taken: 0, time_accumulator: 0, bodies: [], constraints: [], touching: [],
+            contacts: new Map(), new_contacts: new Map(), pending_inputs: []});
+        this.rng.seed(this.recording.seed);
+        Object.assign(this, this.recording.settings);
+    }
+
+    step() {
+        // step(): Perform a single step of the simulation for all bodies.
+        const inputs = this.replaying ? this.recording.inputs.filter(input => input.step == this.steps_taken)
+            : this.pending_inputs.splice(0).map(input => Object.assign({step: this.steps_taken}, input));
+        for (let input of inputs) {
+            if (!this.replaying)
+                this.recording.inputs.push(input);
+            this.handle_input(input);
+        }
+        // Collision tests read each body's drawn_location, so bring that up to the body's current
+        // state; otherwise results would depend on where the last frame fell between two steps.
+        // Sleeping bodies are already there:
+        this.touching = [];
+        for (let b of this.bodies)
+            if (!b.sleeping) b.blend_state(1);
+        this.update_state(this.dt);
+        this.collide_with_static_geometry();
+        this.solve_constraints(this.dt);
+        // Check for sleep while contacts have just cancelled the velocity into any supports,
+        // before this step's forces (like gravity) get integrated in:
+        this.update_sleep();
+        const {integrate} = this.integrators[this.integrator_selection];
+        for (let b of this.bodies) {
+            if (b.sleeping)
+                continue;
+            if (b.user_projectile)
+                this.advance_swept(b, this.dt, integrate);
+            else
+                b.advance(this.dt, integrate);
+        }
+        this.end_contacts();
+        this.steps_taken++;
+        // A replay that reaches the end of its recording turns back into live recording:
+        if (this.replaying && this.steps_taken >= this.recording.steps)
+            this.replaying = false;
+        if (!this.replaying)
+            this.recording.steps = this.steps_taken;
+    }
+
+    scrub_to(step) {
+        // scrub_to(): Jump to any step of the recording by re-running it from the start.  The rest of
+        // the recording then replays from there, and live recording resumes once it runs out.
+        this.reset();
+        if (this.recording.start)
+            this.restore_snapshot(this.recording.start);
+        this.replaying = true;
+        while (this.steps_taken < Math.min(step, this.recording.steps)) {
+            this.step();
+            this.t += this.dt;
+        }
+        this.replaying = this.steps_taken < this.recording.steps;
+        // Show the new state right away, even if the animation is paused:
+        for (let b of this.bodies) b.blend_state(1);
+    }
+
+    replay(recording = this.recording) {
+        // replay(): Re-run a recording (by default, this session's) from its beginning.
+        this.recording = recording;
+        this.scrub_to(0);
+    }
+
+    set_seed(seed) {
+        // set_seed(): Start over from scratch with a new recording, using the given seed.  With the
+        // same inputs, a run of the same seed plays out the same way every time.
+        this.seed = seed >>> 0;
+        this.replaying = false;
+        this.start_recording();
+        this.reset();
+    }
+
+    snapshot(shapes = this.shapes, materials = this.materials) {
+        // snapshot(): Capture everything needed to pick the simulation back up exactly where it is:
+        // Every body and constraint, the light, the clocks, and the random number generator's place in
+        // its sequence.
+        // The result is plain data, ready for JSON.stringify().  Subclasses that draw their bodies'
+        // shapes from somewhere other than this.shapes should pass that dictionary instead.
+        const {r, g, b, x, y, z} = this;
+        return {
+            bodies: this.bodies.map(body => body.to_json(shapes, materials)),
+            constraints: this.constraints.map(c => c.to_json(this.bodies)),
+            // Sleeping islands, as lists of their bodies' places in the list above:
+            islands: [...new Set(this.bodies.map(body => body.island).filter(Boolean))]
+                .map(island => island.map(body => this.bodies.indexOf(body)).filter(i => i >= 0)),
+            light: {r, g, b, x, y, z},
+            t: this.t, steps_taken: this.steps_taken, time_accumulator: this.time_accumulator,
+            random_state: this.rng.state, settings: this.settings()
+        };
+    }
+
+    snapshot_problems(snapshot, shapes = this.shapes, materials = this.materials) {
+        // snapshot_problems(): Check a snapshot before restoring it, since it can come from anywhere.
+        // Returns a list of what's wrong with it, which is empty if it's fine.  Subclasses that save
+        // more in their snapshots should check that too.
+        const problems = [], is_number = x => typeof x == "number",
+            is_vector = (v, n = 3) => Array.isArray(v) && v.length == n && v.every(is_number);
+        if (!snapshot || !Array.isArray(snapshot.bodies))
+            return ["It needs a list of bodies."];
+        const count = snapshot.bodies.length;
+        snapshot.bodies.forEach((body, i) => {
+            const name = "Body " + i + ": ";
+            if (!body || typeof body != "object")
+                return problems.push(name + "It needs to be an object.");
+            if (!shapes[body.shape])
+                problems.push(name + "There's no shape named \"" + body.shape + "\".");
+            if (!materials[body.material])
+                problems.push(name + "There's no material named \"" + body.material + "\".");
+            if (!["size", "center", "linear_velocity", "angular_momentum"].every(key => is_vector(body[key]))
+                || !is_vector(body.rotation, 4))
+                problems.push(name + "It needs a size, center, linear_velocity and angular_momentum (each [x, y, z]), "
+                    + "and a rotation (a quaternion).");
+            if (!(body.mass === null || body.mass > 0) || !(body.restitution >= 0) || !(body.friction >= 0))
+                problems.push(name + "It needs a mass (more than 0, or null for immovable), restitution and friction.");
+        });
+        if (!Array.isArray(snapshot.constraints || []))
+            problems.push("Its constraints need to be a list.");
+        else
+            (snapshot.constraints || []).forEach((data, i) =>
+                problems.push(...Constraint.problems(data, count).map(problem => "Constraint " + i + ": " + problem)));
+        if (!Array.isArray(snapshot.islands || []) || !(snapshot.islands || []).every(indices =>
+            Array.isArray(indices) && indices.every(i => Number.isInteger(i) && i >= 0 && i < count)))
+            problems.push("Its islands need to be lists of places in the list of bodies.");
+        if (!snapshot.light || !["r", "g", "b", "x", "y", "z"].every(key => is_number(snapshot.light[key])))
+            problems.push("It needs a light (r, g, b, x, y and z).");
+        if (!["t", "steps_taken", "time_accumulator", "random_state"].every(key => is_number(snapshot[key])))
+            problems.push("It needs its clocks (t, steps_taken and time_accumulator) and a random_state.");
+        if (!snapshot.settings || !this.recorded_settings.every(name => name in snapshot.settings))
+            problems.push("It needs settings for " + this.recorded_settings.join(", ") + ".");
+        else
+            problems.push(...this.setting_problems(snapshot.settings));
+        return problems;
+    }
+
+    setting_problems(settings) {
+        // setting_problems(): What's wrong with a set of recorded_settings values, such as a snapshot's.
+        // Subclasses that record settings of their own should check those too.
+        const selection = settings.integrator_selection;
+        if (!Number.isInteger(selection) || selection < 0 || selection >= this.integrators.length)
+            return ["Its integrator_selection needs to be a place in the list of integrators."];
+        return [];
+    }
+
+    restore_snapshot(snapshot, shapes = this.shapes, materials = this.materials) {
+        // restore_snapshot(): Put the simulation back into the state captured by snapshot().  Everything
+        // gets re-created before any of it replaces what's there.
+        const bodies = snapshot.bodies.map(data => Body.from_json(data, shapes, materials)),
+            constraints = (snapshot.constraints || []).map(data => Constraint.from_json(data, bodies));
+        for (let indices of snapshot.islands || []) {
+            const island = indices.map(i => bodies[i]);
+            island.forEach(body => body.island = island);
+        }
+        // Only the fields snapshot() saves get copied over, so a snapshot can't replace anything else:
+        const {t, steps_taken, time_accumulator, settings, light: {r, g, b, x, y, z}} = snapshot;
+        Object.assign(this, {bodies, constraints, r, g, b, x, y, z});
+        // Contacts aren't saved, so pairs already touching begin again:
+        Object.assign(this, {t, steps_taken, time_accumulator, touching: [], contacts: new Map(), new_contacts: new Map(),
+            pending_inputs: []}, Object.fromEntries(this.recorded_settings.map(name => [name, settings[name]])));
+        this.rng.state = snapshot.random_state;
+    }
+
+    save_snapshot() {
+        // save_snapshot(): Return the current state as a JSON string.
+        return JSON.stringify(this.snapshot());
+    }
+
+    load_snapshot(json) {
+        // load_snapshot(): Restore a state saved by save_snapshot(), then record onwards from there.
+        // Throws, leaving the simulation as it was, if it isn't one we can use.
+        const snapshot = JSON.parse(json), problems = this.snapshot_problems(snapshot);
+        if (problems.length)
+            throw problems.join("\n");
+        this.restore_snapshot(snapshot);
+        this.replaying = false;
+        this.start_recording(snapshot);
+    }
+
+    download_snapshot() {
+        // download_snapshot(): Save the current state as a JSON file through the browser.
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([this.save_snapshot()], {type: "application/json"}));
+        link.download = "snapshot-" + this.steps_taken + ".json";
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    upload_snapshot() {
+        // upload_snapshot(): Ask the user for a JSON file saved by download_snapshot(), and load it.
+        const input = document.createElement("input");
+        Object.assign(input, {type: "file", accept: ".json,application/json"});
+        input.onchange = () => input.files[0].text().then(json => this.load_snapshot(json))
+            .catch(error => console.warn("Couldn't load that snapshot:\n" + error));
+        input.click();
+    }
+
     simulate(frame_time) {
         // simulate(): Carefully advance time according to Glenn Fiedler's
         // "Fix Your Timestep" blog post.
@@ -114,21 +877,18 @@ export class Simulation extends Scene {
         this.time_accumulator += Math.min(frame_time, 0.1);
         // Repeatedly step the simulation until we're caught up with this frame:
         while (Math.abs(this.time_accumulator) >= this.dt) {
-            // Single step of the simulation for all bodies:
-            this.update_state(this.dt);
-            for (let b of this.bodies)
-                b.advance(this.dt);
+            this.step();
             // Following the advice of the article, de-couple
             // our simulation time from our frame rate:
             this.t += Math.sign(frame_time) * this.dt;
             this.time_accumulator -= Math.sign(frame_time) * this.dt;
-            this.steps_taken++;
         }
         // Store an interpolation factor for how close our frame fell in between
         // the two latest simulation time steps, so we can correctly blend the
         // two latest states and display the result.
         let alpha = this.time_accumulator / this.dt;
-        for (let b of this.bodies) b.blend_state(alpha);
+        for (let b of this.bodies)
+            if (!b.sleeping) b.blend_state(alpha);
     }
 
     make_control_panel() {
@@ -148,6 +908,37 @@ export class Simulation extends Scene {
             box.textContent = this.steps_taken + " timesteps were taken so far."
         });
         this.new_line();
+        this.live_string(box => {
+            const asleep = this.bodies.filter(b => b.sleeping);
+            box.textContent = "Bodies awake: " + (this.bodies.length - asleep.length) + ", asleep: " + asleep.length
+                + " (in " + new Set(asleep.map(b => b.island)).size + " islands)"
+        });
+        this.new_line();
+        this.key_triggered_button("Next integrator", ["i"], () =>
+            this.change_setting("integrator_selection", (this.integrator_selection + 1) % this.integrators.length));
+        this.live_string(box => {
+            box.textContent = "Integrator: " + this.integrators[this.integrator_selection].name
+        });
+        this.new_line();
+        // Scrub through this session's recording, five seconds of simulation time at a time:
+        this.key_triggered_button("Replay from start", ["k"], () => this.replay());
+        this.key_triggered_button("Scrub back", ["["], () => this.scrub_to(this.steps_taken - 100));
+        this.key_triggered_button("Scrub forward", ["]"], () => this.scrub_to(this.steps_taken + 100));
+        // Start over with a seed of the user's choosing, such as one shown below for an earlier run:
+        this.key_triggered_button("Set seed", ["Alt", "r"], () => {
+            const seed = prompt("Start over with the seed:", this.recording.seed);
+            if (seed !== null && /^\d+$/.test(seed.trim()))
+                this.set_seed(+seed);
+        });
+        this.new_line();
+        this.live_string(box => {
+            box.textContent = (this.replaying ? "Replaying step " + this.steps_taken + " of " : "Recording step ")
+                + this.recording.steps + " (seed " + this.recording.seed + ")"
+        });
+        this.new_line();
+        this.key_triggered_button("Save snapshot", ["Alt", "s"], () => this.download_snapshot());
+        this.key_triggered_button("Load snapshot", ["Alt", "l"], () => this.upload_snapshot());
+        this.new_line();
 
         this.key_triggered_button("Change Light Color", ["h"], () =>{
             this.r = Math.random();
@@ -162,16 +953,17 @@ export class Simulation extends Scene {
         })
 
         this.new_line();
+        // Moving the light goes through change_setting(), in case a subclass hangs bodies from it:
         this.key_triggered_button("Change Light Position", ["n"], () =>{
-            this.x = ((Math.random() * 100) % 60) - 20;
-            this.y = ((Math.random() * 100) % 40) - 10;
-            this.z = ((Math.random() * 100) % 3) + 2;
+            this.change_setting("x", ((Math.random() * 100) % 60) - 20);
+            this.change_setting("y", ((Math.random() * 100) % 40) - 10);
+            this.change_setting("z", ((Math.random() * 100) % 3) + 2);
         });
         this.new_line();
         this.key_triggered_button("Original Light Position", ['m'], () => {
-            this.x = 36;
-            this.y = 21;
-            this.z = 0;
+            this.change_setting("x", 36);
+            this.change_setting("y", 21);
+            this.change_setting("z", 0);
         })
 
     }
@@ -202,149 +994,554 @@ export class Group extends Simulation {
             cube: new defs.Cube(),
         };
 
-        this.shapes = {
-            head: new defs.Subdivision_Sphere(5),
-            rock: new defs.Subdivision_Sphere(1),
-            cube: new defs.Cube(),
-            sphere: new defs.Subdivision_Sphere(4),
-            sphere2: new (defs.Subdivision_Sphere.prototype.make_flat_shaded_version())(2),
-            sphere3: new defs.Subdivision_Sphere(3),
-            moon: new (defs.Subdivision_Sphere.prototype.make_flat_shaded_version())(1),
-            circle: new defs.Regular_2D_Polygon(1, 15),
-            opm: new Shape_From_File("assets/saitama-ok-memechallenge/source/Saitama_OK_Cel_shaded/Saitama_OK_Cel_shaded.obj"),
-            platform: new defs.Cube(),
-            pillar: new defs.Cylindrical_Tube(10,10,[[0,1],[0,1]]),
-
+        // The scenery -- its shapes and materials, Saitama, the floor and the pillar, the light and the
+        // camera -- is laid out by the description in assets/group-scene.json (see Scene_Description),
+        // which "Save scene" writes back out:
+        this.scene = Scene_Description.build(group_scene);
+        Object.assign(this, {shapes: this.scene.shapes, materials: this.scene.materials, world: this.scene.root});
+        // Shapes for the props that build_props() puts up:
+        this.prop_shapes = {
+            bead: new defs.Subdivision_Sphere(2),
+            lamp: new defs.Subdivision_Sphere(3),
+            block: new defs.Cube(),
         };
 
-        this.materials = {
-            rock: new Material(new defs.Phong_Shader(),
-                {ambient: .4, specularity: 0.9, color: hex_color("#6c6c6c")}),
-            skin: new Material(new defs.Phong_Shader(),
-                {ambient: .15, specularity: 0.9, color: hex_color("#e0ac69")}),
-            ring: new Material(new Ring_Shader(),
-                {ambient: 1, diffusivity: 0, specularity: 0, color: hex_color("#b08040")}),
-            body_suit: new Material(new defs.Phong_Shader(),
-                {ambient: .15, specularity: 0.9, color: hex_color("#ffff00")}),
-            eye: new Material(new defs.Phong_Shader(),
-                {ambient: .15, specularity: 0.9, color: hex_color("#ffffff")}),
-            opm: new Material(new Textured_Phong(),
-                {   color: hex_color("#000000"),
-                    ambient: 0.7, diffusivity: 0.1, specularity: 0.7,
-                    texture: new Texture("assets/saitama-ok-memechallenge/textures/Saitama_OK_diffuse.png", "NEAREST")}),
-            sun: new Material(new defs.Phong_Shader(),
-                {ambient:1, color: hex_color("#ffffff")}),
-            background_objects: new Material(new defs.Phong_Shader(),
-                {ambient:0.2, diffusivity: 0.5, specularity:0.5, color: hex_color("#ffffff")}),
-            temp: new Material( new Textured_Phong(),
-                {color: hex_color("#000000"),
-                ambient: 0.5, diffusivity: 0.1}),
-            }
-
         this.colliders = [
-            {intersect_test: Body.intersect_sphere, points: new defs.Subdivision_Sphere(1), leeway: 1},
-            {intersect_test: Body.intersect_sphere, points: new defs.Subdivision_Sphere(4), leeway: 2},
-            {intersect_test: Body.intersect_cube, points: new defs.Cube(), leeway: .1}
+            {name: "Coarse sphere points", intersect_test: Body.intersect_sphere, points: new defs.Subdivision_Sphere(1), leeway: 1},
+            {name: "Fine sphere points", intersect_test: Body.intersect_sphere, points: new defs.Subdivision_Sphere(4), leeway: 2},
+            {name: "Cube points", intersect_test: Body.intersect_cube, points: new defs.Cube(), leeway: .1},
+            // Analytic tests, which are faster and exact:
+            Object.assign(new Sphere_Collider(.5), {name: "Bounding spheres"}),
+            Object.assign(new Ellipsoid_Collider(.5), {name: "Ellipsoids"}),
+            Object.assign(new Box_Collider(.1), {name: "Oriented boxes"}),
+            Object.assign(new Hull_Collider(.1), {name: "Convex hulls (GJK)"})
         ];
         this.collider_selection = 1;
-        let opm_scale = Mat4.scale(15,15,15);
-        let opm_rot = Mat4.rotation(0.5, 0,1,0);
+        // The collider in use changes the outcome, so record it along with the other settings:
+        this.recorded_settings.push("collider_selection");
+        // Rocks that hit Saitama with more than fracture_energy of impact energy shatter into chunks,
+        // as long as no more than max_fragments chunks are flying or lying around; to make room, the
+        // oldest ones disappear.  Each meteorite shape gets a few ways of breaking, made up front so
+        // that the same break always yields the same chunks (and a replay breaks rocks the same way):
+        Object.assign(this, {fracture_energy: 500, max_fragments: 60, fragment_scatter: 4});
+        this.recorded_settings.push("fracture_energy", "max_fragments");
+        this.fracture_patterns = new Map();
+        // Chunks get names too, for saving them in snapshots:
+        this.fragment_shapes = {};
+        for (let [name, shape] of Object.entries(this.meteorites)) {
+            const patterns = Fracture.patterns(shape);
+            this.fracture_patterns.set(shape, patterns);
+            patterns.forEach((pattern, i) => pattern.forEach((chunk, j) => this.fragment_shapes[`${name} ${i} ${j}`] = chunk));
+        }
+        // Saitama gets tested against his actual model's triangles, instead of a stretched sphere:
+        this.opm_collider = new Mesh_Collider(this.shapes.opm, .2);
+        // Rocks are around 2 units wide.  Pad their boxes to cover the collider's leeway
+        // and the stretched obstacle volume that check_if_colliding() tests against:
+        this.broad_phase = new Spatial_Hash(5, 1.8);
+        // Saitama, the floor and the pillar stand where the scene description puts them.  Saitama's node
+        // follows his body (see display()), so anything added under it goes wherever he does:
+        this.opm_node = this.world.find("opm");
         this.opm = new Body(this.shapes.opm, this.materials.opm, vec3(5,5,5), false)
-            .emplace(opm_scale.times(opm_rot).times(Mat4.identity()),
-                0, 0);
-
-        let pillar_scale = Mat4.scale(10, 100, 10);
-        let pillar_translation = Mat4.translation(-2, 0, -1);
-        let pillar_rotation = Mat4.rotation(55, 1, 0, 0);
-        this.pillars = new Body(this.shapes.pillar, this.materials.background_objects, vec3(10,10,10), false)
-            .emplace(pillar_scale.times(pillar_translation).times(pillar_rotation).times(Mat4.identity()),
-                0,0);
-
-        //let model_transform_cylinder = model_transform.times(Mat4.translation(-21,10,-20)).times(Mat4.scale(10, 100, 10)).times(Mat4.rotation(55, 1,0,0));
+            .emplace(this.opm_node.world_transform(), vec3(0, 0, 0), 0);
+        // Saitama is immovable:
+        this.opm.mass = Infinity;
+        this.rig_opm();
+
+        // The pillar's node has no shape; it only says where the pillar stands and (by its scale) how wide
+        // and how tall it is.  build_props() builds it out of welded blocks there:
+        this.pillar_node = this.world.find("pillar");
+        // The floor doesn't move, so it collides as static geometry (matching where it's drawn):
+        this.floor_transform = this.world.find("floor").world_transform();
+        this.static_geometry.push(new Static_Box(this.floor_transform, .3, .7));
 
         this.initial_camera_location = Mat4.look_at(vec3(0, 0, 20), vec3(0, 0, 0), vec3(0, 1, 0));
-        this.animation_queue = [];
 
+        // The light's node follows the lamp (see display()), but starts out where the light hangs:
+        this.light_node = this.world.find("light");
         //Color of the light source
-        this.r = 0.917;
-        this.g = 0.792;
-        this.b = 0.949;
+        [this.r, this.g, this.b] = this.light_node.light.color;
 
         //XYZ coordinates of the light source
-        this.x = 36;
-        this.y = 21;
-        this.z = 0;
-        this.counter = 0;
+        [this.x, this.y, this.z] = this.light_node.translation;
+        // The light casts shadows, looking toward Saitama wherever it swings to:
+        this.shadow_map = new Shadow_Map(null, {target: this.opm_node.world_transform().times(vec4(0, 0, 0, 1)).to3(), near: 1, far: 300});
+
+        // Rocks arrive in waves, as laid out by a Spawner's description.  The description and a factor
+        // to scale its spawn rates by are settings, so loading another one or turning it up gets recorded:
+        Object.assign(this, {spawn_description: Spawner.default_description, spawn_rate_scale: 1});
+        this.spawner = new Spawner(this.spawn_description);
+        this.recorded_settings.push("spawn_description", "spawn_rate_scale");
+        // The score, shown over the scene by draw_hud():
+        this.scoreboard = new Scoreboard();
+        // React to collisions as the simulation reports them (see subscribe()):
+        this.subscribe(event => this.knock_down(event), ["begin", "stay"]);
+        this.subscribe(event => this.kick_up_dust(event), ["begin", "stay"]);
+        this.subscribe(event => this.score_hit(event), ["begin"]);
+
+        // Each block of the pillar is welded to the ones above and below it.  A weld breaks when holding
+        // on takes more than pillar_strength of (linear) impulse in one step:
+        this.pillar_strength = 300;
+        this.build_props();
+        // The lamp hangs from the light's position, so moving the light moves bodies.  Record it:
+        this.recorded_settings.push("x", "y", "z");
+        this.start_recording();
+        this.load_spawn_description("assets/waves.json");
+    }
+
+    rig_opm() {
+        // rig_opm(): Give Saitama a skeleton to animate his model with, and some clips to play on it.
+        // Joints sit where his body bends, in his model's own coordinates (he faces +z, so his right
+        // side is at -x).  His cape hangs from his hips on a joint of its own, so it doesn't swing
+        // along with his arms and legs.  The animation is just for show; rocks still collide with his
+        // model as it stands unposed.
+        const joints = [
+            {name: "hips", position: [0, -.95, 0], tail: [0, -.1, 0], radius: .33},
+            {name: "spine", parent: "hips", position: [0, -.1, 0], radius: .4},
+            {name: "chest", parent: "spine", position: [0, .55, 0], tail: [0, 1, 0], radius: .4},
+            {name: "head", parent: "chest", position: [0, 1.05, 0], tail: [0, 1.7, 0], radius: .28},
+            {name: "cape", parent: "hips", position: [0, .95, -.35], tail: [0, -1.9, -.45], radius: .45}];
+        for (let [side, x] of [["left", 1], ["right", -1]])
+            joints.push(
+                {name: side + " shoulder", parent: "chest", position: [.45 * x, .85, 0], radius: .12},
+                {name: side + " elbow", parent: side + " shoulder", position: [.6 * x, 0, 0], radius: .11},
+                {name: side + " hand", parent: side + " elbow", position: [.62 * x, -.55, 0], tail: [.68 * x, -.85, 0], radius: .1},
+                {name: side + " thigh", parent: "hips", position: [.22 * x, -1, 0], radius: .17},
+                {name: side + " knee", parent: side + " thigh", position: [.27 * x, -1.7, 0], radius: .14},
+                {name: side + " foot", parent: side + " knee", position: [.3 * x, -2.3, 0], tail: [.3 * x, -2.45, .15], radius: .12});
+        this.opm_skeleton = new Skeleton(joints);
+        // His clips, as keyframes of how far his joints turn (see Animation_Clip).  He breathes while
+        // standing around, flinches at a rock hitting him, and punches back at the ones thrown at him:
+        this.opm_clips = {
+            idle: new Animation_Clip([
+                {time: 0, pose: {chest: [.02, 1, 0, 0], head: [-.02, 1, 0, 0]}},
+                {time: 1.5, pose: {chest: [-.02, 1, 0, 0], head: [.02, 1, 0, 0], "left shoulder": [.04, 0, 0, 1],
+                        "right shoulder": [-.04, 0, 0, 1]}},
+                {time: 3, pose: {chest: [.02, 1, 0, 0], head: [-.02, 1, 0, 0]}}], true),
+            flinch: new Animation_Clip([
+                {time: 0, pose: {}},
+                {time: .12, pose: {spine: [-.15, 1, 0, 0], chest: [-.2, 1, 0, 0], head: [-.35, 1, 0, 0],
+                        "left shoulder": [.5, 0, 0, 1], "right shoulder": [-.5, 0, 0, 1],
+                        "left elbow": [-.6, 1, 0, 0], "right elbow": [-.6, 1, 0, 0], cape: [-.1, 1, 0, 0]}},
+                {time: .3, pose: {spine: [-.1, 1, 0, 0], chest: [-.12, 1, 0, 0], head: [-.2, 1, 0, 0],
+                        "left shoulder": [.3, 0, 0, 1], "right shoulder": [-.3, 0, 0, 1], cape: [-.05, 1, 0, 0]}},
+                {time: .7, pose: {}}]),
+            punch: new Animation_Clip([
+                {time: 0, pose: {}},
+                {time: .15, pose: {chest: [-.35, 0, 1, 0], "right shoulder": [-.7, 1, 0, 0], "right elbow": [-1.6, 1, 0, 0],
+                        "left thigh": [-.2, 1, 0, 0], "right knee": [.2, 1, 0, 0]}},
+                {time: .25, pose: {chest: [.4, 0, 1, 0], "right shoulder": [-1.55, 1, 0, 0], "right elbow": [-.05, 1, 0, 0],
+                        "left thigh": [-.3, 1, 0, 0], "right knee": [.3, 1, 0, 0], cape: [-.25, 1, 0, 0]}},
+                {time: .6, pose: {chest: [.35, 0, 1, 0], "right shoulder": [-1.5, 1, 0, 0], "right elbow": [-.1, 1, 0, 0],
+                        "left thigh": [-.3, 1, 0, 0], "right knee": [.3, 1, 0, 0], cape: [-.15, 1, 0, 0]}},
+                {time: 1.1, pose: {}}])
+        };
+        this.opm_animator = new Animator(this.opm_clips.idle);
+        this.subscribe(event => this.react_to_hit(event), ["begin"]);
+    }
+
+    react_to_hit({a, b}) {
+        // react_to_hit(): Saitama flinches when a rock hits him, or punches back if the user threw it,
+        // unless he's still busy reacting to the last one.
+        if (b === this.opm && !this.opm_animator.playing(this.t))
+            this.opm_animator.play(a.user_projectile ? this.opm_clips.punch : this.opm_clips.flinch, this.t);
+    }
+
+    spawn_problems(description) {
+        // spawn_problems(): What's wrong with a spawner description, given the shapes and materials we have.
+        return Spawner.problems(description, Object.keys(this.meteorites), Object.keys(this.materials));
+    }
+
+    load_spawn_description(url) {
+        // load_spawn_description(): Fetch the spawner description to start out with from a JSON file.
+        // The simulation holds until it's in, then starts over (and records afresh) with it.  If it
+        // can't be loaded or used, the default description stays.
+        this.spawner_ready = false;
+        fetch(url)
+            .then(response => response.ok ? response.json() : Promise.reject(response.status))
+            .then(description => {
+                const problems = this.spawn_problems(description);
+                if (problems.length)
+                    return Promise.reject(problems.join("\n"));
+                this.spawn_description = description;
+                this.start_recording();
+                this.reset();
+            })
+            .catch(error => console.warn("Couldn't use the spawner description in " + url + ":\n" + error))
+            .finally(() => this.spawner_ready = true);
+    }
+
+    upload_spawn_description() {
+        // upload_spawn_description(): Ask the user for a JSON spawner description, and switch to it at
+        // the next step.  The waves start over from the first.
+        const input = document.createElement("input");
+        Object.assign(input, {type: "file", accept: ".json,application/json"});
+        input.onchange = () => input.files[0].text().then(json => {
+            const description = JSON.parse(json), problems = this.spawn_problems(description);
+            if (problems.length)
+                return Promise.reject(problems.join("\n"));
+            this.change_setting("spawn_description", description);
+        }).catch(error => console.warn("Couldn't use that spawner description:\n" + error));
+        input.click();
+    }
+
+    download_spawn_description() {
+        // download_spawn_description(): Save the spawner description in use as a JSON file, for editing.
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(this.spawn_description, null, 2)], {type: "application/json"}));
+        link.download = "waves.json";
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    download_scene_description() {
+        // download_scene_description(): Save the scenery as a JSON scene description, the way it is now
+        // and with the camera where it is, for editing or for showing in a Described_Scene.
+        const link = document.createElement("a"),
+            description = Scene_Description.describe(this.scene, this.program_state.camera_inverse);
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(description, null, 2)], {type: "application/json"}));
+        link.download = "group-scene.json";
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    lamp_mount() {
+        // lamp_mount(): Where the lamp's chain hangs from.  The lamp hangs still at the light's position.
+        return vec3(this.x, this.y + 7.5, this.z);
+    }
+
+    build_props() {
+        // build_props(): Put up the things made of several bodies held together by constraints:  A lamp
+        // that the light shines from, hanging on a chain from a spring, and a pillar of stone blocks that
+        // comes apart when hit hard enough.  Their bodies fall like knocked-down rocks (they count as hit).
+        const prop = (shape, material, size, center, mass = size[0] * size[1] * size[2]) => {
+            const body = Object.assign(new Body(shape, material, size, false)
+                .emplace(Mat4.translation(...center), vec3(0, 0, 0), 0), {hit: true, mass});
+            this.bodies.push(body);
+            return body;
+        };
+        // The chain is a row of beads held apart by rods (distance constraints), and the lamp hangs
+        // off its last bead on a hinge:
+        const mount = this.lamp_mount();
+        let above;
+        for (let i = 0; i < 4; i++) {
+            const bead = prop(this.prop_shapes.bead, this.materials.chain, vec3(.3, .3, .3),
+                mount.minus(vec3(0, 1.5 * (i + 1), 0)), .5);
+            this.constraints.push(above ? new Distance_Constraint(bead, vec3(0, 0, 0), above, vec3(0, 0, 0), 1.5)
+                : new Spring(bead, vec3(0, 0, 0), Constraint.world, mount, 1, 60, 4));
+            above = bead;
+        }
+        const lamp = prop(this.prop_shapes.lamp, this.materials.sun, vec3(1, 1, 1), mount.minus(vec3(0, 7.5, 0)), 1);
+        this.constraints.push(new Hinge_Constraint(lamp, vec3(0, .75, 0), vec3(1, 0, 0), above, vec3(0, -.75, 0), vec3(1, 0, 0)));
+
+        // The pillar stands on the floor in the rocks' path, rising from its node's origin in ten blocks,
+        // as wide and as tall as the node's scale says.  A weld at each seam between blocks holds them
+        // together, and the bottom block to the floor:
+        const base = this.pillar_node.world_transform().times(vec4(0, 0, 0, 1)).to3(),
+            [width, height] = this.pillar_node.scale, half_size = vec3(width / 2, height / 20, width / 2);
+        let below = Constraint.world;
+        for (let i = 0; i < 10; i++) {
+            const block = prop(this.prop_shapes.block, this.materials.background_objects, half_size,
+                base.plus(vec3(0, half_size[1] * (2 * i + 1), 0)));
+            this.constraints.push(new Weld_Constraint(block, vec3(0, -half_size[1], 0), below,
+                below === Constraint.world ? base : vec3(0, half_size[1], 0), this.pillar_strength));
+            below = block;
+        }
+    }
+
+    body_shapes() {
+        // body_shapes(): Every shape our bodies can have, by name, for snapshots:  The meteorites, the
+        // chunks those break into, and the props.
+        return {...this.meteorites, ...this.fragment_shapes, ...this.prop_shapes};
     }
 
     random_shape(shape_list = this.meteorites) {
         // random_shape():  Extract a random shape from this.shapes.
         const shape_names = Object.keys(shape_list);
-        return shape_list[shape_names[~~(shape_names.length * Math.random())]]
+        return shape_list[shape_names[~~(shape_names.length * this.random())]]
+    }
+
+    reset() {
+        super.reset();
+        this.spawner = new Spawner(this.spawn_description);
+        this.scoreboard.reset();
+        this.build_props();
+    }
+
+    snapshot() {
+        // Our bodies take their shapes from body_shapes(), and the spawner's place in its waves and the
+        // score count too:
+        return Object.assign(super.snapshot(this.body_shapes()),
+            {spawner: this.spawner.state(), score: this.scoreboard.state(this.bodies)});
+    }
+
+    snapshot_problems(snapshot) {
+        // Our bodies take their shapes from body_shapes(), and there should be a spawner and a score:
+        const problems = super.snapshot_problems(snapshot, this.body_shapes()),
+            is_number = x => typeof x == "number", count = snapshot && Array.isArray(snapshot.bodies) ? snapshot.bodies.length : 0;
+        if (!snapshot)
+            return problems;
+        const spawner = snapshot.spawner;
+        if (!spawner || !Number.isInteger(spawner.wave_index) || !Number.isInteger(spawner.round)
+            || ![spawner.wave_index, spawner.round, spawner.wave_time, spawner.owed].every(x => is_number(x) && x >= 0))
+            problems.push("It needs the spawner's place (wave_index, round, wave_time and owed, none below 0).");
+        const score = snapshot.score;
+        if (!score || !["hits", "throws", "thrown_hits", "time"].every(key => is_number(score[key]) && score[key] >= 0)
+            || !Array.isArray(score.struck) || !score.struck.every(i => Number.isInteger(i) && i >= 0 && i < count))
+            problems.push("It needs a score (hits, throws, thrown_hits, time, and which bodies were struck).");
+        return problems;
+    }
+
+    setting_problems(settings) {
+        // Our settings pick a collider and a spawner description, and scale things that can't go below 0:
+        const problems = super.setting_problems(settings), selection = settings.collider_selection;
+        if (!Number.isInteger(selection) || selection < 0 || selection >= this.colliders.length)
+            problems.push("Its collider_selection needs to be a place in the list of colliders.");
+        if (!Number.isInteger(settings.max_fragments) || settings.max_fragments < 0)
+            problems.push("Its max_fragments needs to be a whole number, not below 0.");
+        for (let name of ["fracture_energy", "spawn_rate_scale"])
+            if (!(typeof settings[name] == "number" && settings[name] >= 0))
+                problems.push("Its " + name + " needs to be a number, not below 0.");
+        if (!["x", "y", "z"].every(name => typeof settings[name] == "number"))
+            problems.push("It needs the light's place (x, y and z).");
+        problems.push(...this.spawn_problems(settings.spawn_description).map(problem => "Its spawner description: " + problem));
+        return problems;
+    }
+
+    restore_snapshot(snapshot) {
+        super.restore_snapshot(snapshot, this.body_shapes());
+        this.spawner = Object.assign(new Spawner(this.spawn_description), snapshot.spawner);
+        this.scoreboard.restore(snapshot.score, this.bodies);
+    }
+
+    impact_energy(a, b, contact) {
+        // impact_energy(): The kinetic energy the bodies' approach along the contact normal carries,
+        // which is what a collision has available to break things.  That's 1/2 * m * v^2, using the
+        // "reduced mass" of the pair (just a's mass when b is immovable).
+        const inverse_masses = a.inverse_mass() + b.inverse_mass(),
+            approach_speed = a.velocity_at(contact.point).minus(b.velocity_at(contact.point)).dot(contact.normal);
+        return inverse_masses && approach_speed < 0 ? approach_speed * approach_speed / (2 * inverse_masses) : 0;
+    }
+
+    resolve_collision(a, b, contact) {
+        // Hitting Saitama hard enough breaks a rock (though not a chunk of one) apart.  This covers
+        // thrown rocks stopped by advance_swept() too.  Measure the impact before the rock bounces,
+        // and break it after, so that the chunks fly off with the bounce:
+        const breaks = b === this.opm && this.fracture_patterns.has(a.shape)
+            && this.impact_energy(a, b, contact) > this.fracture_energy;
+        super.resolve_collision(a, b, contact);
+        if (breaks)
+            this.shatter(a, contact);
+    }
+
+    knock_down({a, b}) {
+        // knock_down(): Rocks fly towards Saitama until something knocks them down (see update_state()).
+        // Touching anything but the static geometry does it, though Saitama himself stays put:
+        if (this.static_geometry.includes(b))
+            return;
+        a.hit = true;
+        if (b !== this.opm)
+            b.hit = true;
+    }
+
+    kick_up_dust({point, normal, relative_speed}) {
+        // kick_up_dust(): Puff dust wherever things hit hard enough to bounce, bigger for harder hits.
+        // It's just for show, so it uses Math.random() instead of the simulation's own random numbers:
+        if (relative_speed > this.resting_speed)
+            this.shapes.dust.emit(defs.Particle_System.cone(point, normal, Math.PI / 3),
+                Math.min(Math.round(2 * relative_speed), 40), this.t, [1, .3 * relative_speed], [.4, 1.2]);
+    }
+
+    score_hit({a, b}) {
+        // score_hit(): Every rock that reaches Saitama scores a hit (once), but the chunks of one that broke don't:
+        if (b === this.opm && !(a.shape instanceof Fragment_Shape) && this.scoreboard.note_hit(a))
+            this.log_event({type: "hit", thrown: a.user_projectile});
+    }
+
+    wave_label() {
+        // wave_label(): Which wave of rocks is coming, for showing on screen.
+        const spawner = this.spawner;
+        return "Wave " + (spawner.wave_index + 1) + ": " + spawner.wave().name
+            + (spawner.round ? " (round " + (spawner.round + 1) + ")" : "");
+    }
+
+    shatter(rock, contact) {
+        // shatter(): Replace the rock with the chunks of one of its fracture patterns, each placed where
+        // it sat inside the rock.  Every chunk keeps the velocity its part of the rock had (spin
+        // included), so momentum carries on, plus a push away from the point of impact to scatter them.
+        const patterns = this.fracture_patterns.get(rock.shape),
+            pattern = patterns[Math.floor(this.random() * patterns.length)];
+        // Remove the rock, and make room by removing the oldest fragments too:
+        let excess = this.bodies.filter(b => b.shape instanceof Fragment_Shape).length + pattern.length - this.max_fragments;
+        this.bodies = this.bodies.filter(b => b !== rock && !(b.shape instanceof Fragment_Shape && excess-- > 0));
+        for (let chunk of pattern) {
+            const center = rock.center.plus(rock.rotation.rotate(chunk.offset.times_pairwise(rock.size))),
+                away = center.minus(contact.point).normalized();
+            const fragment = new Body(chunk, rock.material, rock.size.times_pairwise(chunk.extent), rock.user_projectile)
+                .emplace(Mat4.translation(...center).times(rock.rotation.to_mat4()),
+                    rock.velocity_at(center).plus(away.times(this.fragment_scatter)), 0);
+            fragment.set_angular_velocity_vector(rock.angular_velocity_vector());
+            fragment.hit = true;
+            this.bodies.push(fragment);
+        }
+        this.shapes.dust.emit(defs.Particle_System.sphere(rock.center, Math.min(...rock.size)), 60, this.t, [2, 6], [.6, 1.5]);
+        this.log_event({type: "shatter", center: [...rock.center], pieces: pattern.length});
+    }
+
+    simulate(frame_time) {
+        // Hold the simulation until Saitama's model has loaded, so that every run (and every replay)
+        // starts out with him there to collide with, and until the spawner's description has too:
+        if (this.opm_collider.ready() && this.spawner_ready)
+            super.simulate(frame_time);
+    }
+
+    obstacle_contact(b) {
+        // Thrown rocks mustn't tunnel through Saitama either:
+        const contact = b.check_if_colliding(this.opm, this.opm_collider);
+        return contact ? {other: this.opm, contact} : super.obstacle_contact(b);
+    }
+
+    handle_input(input) {
+        if (input.type == "next_wave")
+            return this.spawner.next_wave();
+        if (input.type == "reset_score")
+            return this.scoreboard.reset();
+        if (input.type != "throw")
+            return super.handle_input(input);
+        // The user threw a rock from the given position, at the given velocity:
+        this.scoreboard.note_throw();
+        this.bodies.push(new Body(this.random_shape(), this.materials.rock, vec3(2, 2 + this.random(), 2), true)
+            .emplace(Mat4.translation(...input.position), vec3(...input.velocity), this.random(),
+                vec3(0, 0, 0).randomized(1, this.random).normalized()));
     }
 
     increase() {
-        this.collider_selection = Math.min(this.collider_selection + 1, this.colliders.length - 1);
+        this.change_setting("collider_selection", Math.min(this.collider_selection + 1, this.colliders.length - 1));
     }
 
     decrease() {
-        this.collider_selection = Math.max(this.collider_selection - 1, 0)
+        this.change_setting("collider_selection", Math.max(this.collider_selection - 1, 0));
+    }
+
+    make_control_panel() {
+        super.make_control_panel();
+        this.new_line();
+        this.key_triggered_button("Previous collider", ["v"], this.decrease);
+        this.key_triggered_button("Next collider", ["b"], this.increase);
+        this.live_string(box => {
+            box.textContent = "Rocks collide as: " + this.colliders[this.collider_selection].name
+        });
+        this.new_line();
+        this.key_triggered_button("Rocks break easier", ["x"], () =>
+            this.change_setting("fracture_energy", this.fracture_energy / 2));
+        this.key_triggered_button("Rocks break harder", ["c"], () =>
+            this.change_setting("fracture_energy", this.fracture_energy * 2));
+        this.live_string(box => {
+            box.textContent = "Rocks break above " + this.fracture_energy + " J of impact ("
+                + this.bodies.filter(b => b.shape instanceof Fragment_Shape).length + "/" + this.max_fragments + " fragments)"
+        });
+        this.new_line();
+        this.key_triggered_button("More rocks", ["="], () =>
+            this.change_setting("spawn_rate_scale", this.spawn_rate_scale * 1.5));
+        this.key_triggered_button("Fewer rocks", ["-"], () =>
+            this.change_setting("spawn_rate_scale", this.spawn_rate_scale / 1.5));
+        this.key_triggered_button("Next wave", ["q"], () => this.queue_input({type: "next_wave"}));
+        this.live_string(box => {
+            const spawner = this.spawner, time_left = spawner.time_left();
+            box.textContent = this.wave_label() + ", " + (spawner.rate() * this.spawn_rate_scale).toFixed(1) + " rocks/s"
+                + (time_left < Infinity ? ", next wave in " + Math.ceil(time_left) + " s" : "")
+        });
+        this.new_line();
+        this.key_triggered_button("Load rock waves", ["Alt", "w"], () => this.upload_spawn_description());
+        this.key_triggered_button("Save rock waves", ["Alt", "e"], () => this.download_spawn_description());
+        this.key_triggered_button("Reset score", ["0"], () => this.queue_input({type: "reset_score"}));
+        this.key_triggered_button("Save scene", ["Alt", "g"], () => this.download_scene_description());
     }
 
     update_state(dt) {
         // update_state():  Override the base time-stepping code to say what this particular
         // scene should do to its bodies every frame -- including applying forces.
-        // Generate additional moving bodies if there ever aren't enough:
-        this.counter++;
-        if (Math.floor(this.counter % 8) === 0) {
-            this.bodies.push(new Body(this.random_shape(), this.materials.rock, vec3(1, 1 + Math.random(), 1), false)
-                .emplace(Mat4.translation(...vec3(50, 25, 0).randomized(12)),
-                    vec3(0, -1, 0).randomized(2).normalized().times(2), Math.random()));
+        // Generate additional moving bodies, as the spawner's waves call for.  Switching to another
+        // description starts its waves over:
+        if (this.spawner.description !== this.spawn_description)
+            this.spawner = new Spawner(this.spawn_description);
+        const wave = this.spawner.wave();
+        for (let spawn of this.spawner.update(dt, this.random, this.spawn_rate_scale)) {
+            const rock = new Body(this.meteorites[spawn.shape], this.materials[spawn.material], spawn.size, false)
+                .emplace(Mat4.translation(...spawn.center), spawn.velocity, spawn.spin, spawn.spin_axis);
+            this.bodies.push(rock);
+            this.log_event({type: "spawn", center: [...rock.center], velocity: [...rock.linear_velocity]});
         }
+        if (this.spawner.wave() !== wave)
+            this.log_event({type: "wave", name: this.spawner.wave().name, round: this.spawner.round});
         const collider = this.colliders[this.collider_selection];
+        // The lamp's chain follows the light wherever it gets moved (waking up, if it had come to rest):
+        const mount = this.lamp_mount();
+        for (let c of this.constraints)
+            if (c instanceof Spring && c.b === Constraint.world && !c.anchor_b.equals(mount)) {
+                c.anchor_b = mount;
+                this.wake(c.a);
+            }
+
+        // Once his model has loaded, tell the broad phase how big Saitama really is:
+        if (!this.opm.local_bounds)
+            this.opm.local_bounds = this.opm_collider.local_bounds();
 
         for (let a of this.bodies) {
-            // Cache the inverse of matrix of body "a" to save time.
+            // Cache the inverse of matrix of body "a" to save time.  Sleeping bodies don't move, so
+            // theirs stays good:
+            if (a.sleeping && a.inverse)
+                continue;
             a.inverse = Mat4.inverse(a.drawn_location);
 
             //a.linear_velocity = a.linear_velocity.minus(a.center.times(dt));
-            if (a.hit) {
-                a.linear_velocity[0] *= 0.95;
-                a.linear_velocity[1] += dt * -9.8;
-                a.linear_velocity[2] *= 0.95;
+            if (a.sleeping)
                 continue;
-            }
-            if (a.user_projectile) {
-                a.linear_velocity[1] += dt * -4.9;
+            // Rocks fly towards Saitama until something knocks them down; then they just fall.
+            // Accelerations become forces here, so that the selected integrator applies them:
+            if (a.hit) {
+                a.apply_force(vec3(0, -9.8, 0).times(a.mass));
+            } else if (a.user_projectile) {
+                a.apply_force(vec3(0, -4.9, 0).times(a.mass));
             } else {
-                a.linear_velocity[0] += dt * -9.8;
+                a.apply_force(vec3(-9.8, 0, 0).times(a.mass));
             }
+        }
 
-            /*if (a.linear_velocity[0] > 0)
-                continue;*/
-            // *** Collision process is here ***
-            // Loop through all bodies again (call each "b"):
-
-            // Pass the two bodies and the collision shape to check_if_colliding():
-            if (a.check_if_colliding(this.opm, collider)) {
-                a.hit = true;
-                a.linear_velocity = a.linear_velocity.times(-0.45);
-            }
-            else if (a.check_if_colliding(this.pillars, collider)) {
-                a.hit = true;
-                a.linear_velocity = a.linear_velocity.times(-0.1);
-            }
+        // *** Collision process is here ***
+        // The broad phase pairs up each rock with only the obstacles and other rocks near it:
+        const obstacles = [this.opm];
+        for (let [a, b] of this.candidate_pairs(obstacles)) {
+            // Let "a" be the rock.  Obstacles don't move, so they never need testing against each other.
+            if (obstacles.includes(a))
+                [a, b] = [b, a];
+            // Neither can move if both are obstacles or asleep, so there's nothing to test:
+            if (!a.inverse_mass() && !b.inverse_mass())
+                continue;
+            // Neighbors in a chain or a pillar overlap where they're joined:
+            if (this.connected(a, b))
+                continue;
+            // Pass the two bodies and the collision shape to check_if_colliding().  Saitama is
+            // tested against his actual model; everything else uses the selected collider.
+            const contact = a.check_if_colliding(b, b === this.opm ? this.opm_collider : collider);
+            if (!contact)
+                continue;
+            // Bounce, glance or roll off the surface, depending on how they met:
+            this.resolve_collision(a, b, contact);
         }
+        // Debris that lands on the floor piles up there; only rocks that miss the platform entirely get removed:
         this.bodies = this.bodies.filter(b => b.center[0] > -50 && b.center[1] > -50);
+        this.scoreboard.update(dt, this.bodies);
     }
 
     display(context, program_state) {
         super.display(context, program_state);
         const gl = context.context;
+        // Keep hold of the camera, for saving the scene:
+        this.program_state = program_state;
 
         if (!context.scratchpad.controls) {
             this.children.push(context.scratchpad.controls = new defs.Movement_Controls());
-            program_state.set_camera(Mat4.translation(0, -15, -40));
+            program_state.set_camera(this.scene.camera.transform.copy());
 
             let canvas = context.canvas;
             const mouse_position = (e, rect = canvas.getBoundingClientRect()) =>
@@ -364,26 +1561,23 @@ export class Group extends Simulation {
                 let V = program_state.camera_inverse;
                 let center_world_near  = Mat4.inverse(P.times(V)).times(center_ndc_near);
                 center_world_near.scale_by(1 / center_world_near[3]);
-                let loc_matrix = Mat4.translation(center_world_near[0], center_world_near[1], center_world_near[2]);
-                this.bodies.push(new Body(this.random_shape(), this.materials.rock, vec3(2, 2 + Math.random(), 2), true)
-                    .emplace(loc_matrix,
-                        vec3(mouse_position(e)[0], Math.max(0,mouse_position(e)[1]), -1).times(25), Math.random()));
+                // Throw the rock at the start of the next step (see handle_input()), so it gets recorded:
+                this.queue_input({type: "throw", position: [...center_world_near.to3()],
+                    velocity: [...vec3(mouse_position(e)[0], Math.max(0,mouse_position(e)[1]), -1).times(25)]});
             });
         }
 
-        program_state.projection_transform = Mat4.perspective(
-            Math.PI / 4, context.width / context.height, .1, 1000);
+        const {fov, near, far} = this.scene.camera;
+        program_state.projection_transform = Mat4.perspective(fov, context.width / context.height, near, far);
 
         const t = program_state.animation_time / 1000, dt = program_state.animation_delta_time / 1000;
         const ts = program_state.animation_time / 100;
         const tss = program_state.animation_time / 10;
 
         // The parameters of the Light are: position, color, size
-        const light_position = vec4(this.x, this.y, this.z, 1);
-
-        //const light_radius = 5;
-        const sun_radius = 5;
-        const light_size = 10**sun_radius;
+        // The light shines from the lamp, wherever it has swung to (or from where it should hang, if it's gone):
+        const lamp = this.bodies.find(b => b.shape === this.prop_shapes.lamp);
+        const light_position = lamp ? lamp.drawn_location.times(vec4(0, 0, 0, 1)) : vec4(this.x, this.y, this.z, 1);
 
         // Added the ability to change the sun's color into a randomized color
         let sun_color = color(this.r, this.g, this.b, 1);
@@ -391,29 +1585,37 @@ export class Group extends Simulation {
             //sun_color = color(0.882, 0.666, 0.933,1);
             sun_color = color(this.r+0.1, this.g+0.1, this.b+0.1, 1);
         }
+        this.light_node.light.color = sun_color;
+        this.light_node.set_translation(light_position.to3());
 
         //program_state.projection_transform = Mat4.perspective(Math.PI / 4, context.width / context.height, 1, 500);
 
 
         //Added the ability to
-        program_state.lights = [new Light(light_position, sun_color, light_size)];
-
-        let model_transform = Mat4.identity();
-        this.opm.shape.draw(context, program_state, this.opm.drawn_location, this.materials.opm);
+        program_state.lights = this.world.lights();
+
+        // Pose Saitama for this frame, which falls between the last two steps.  His model gets bound to
+        // his skeleton once it has loaded:
+        if (this.shapes.opm.ready && !this.shapes.opm.arrays.joint_weights)
+            this.opm_skeleton.skin(this.shapes.opm);
+        const joint_matrices = this.opm_skeleton.matrices(this.opm_animator.pose(this.t - this.dt + this.time_accumulator));
+        this.opm_node.set_matrix(this.opm.drawn_location);
+        this.materials.opm.replace({joint_matrices});
+
+        // Saitama and the pillar's blocks cast shadows from the light, onto whatever's drawn with a
+        // shadow-reading material (the floor and the pillar):
+        this.shadow_map.update(program_state.lights[0]);
+        this.shadow_map.render(context, program_state, [...Shadow_Map.casters(this.opm_node),
+            ...this.bodies.filter(b => b.shape === this.prop_shapes.block)
+                .map(b => ({shape: b.shape, transform: b.drawn_location, material: b.material}))]);
 
         // This section adds the background environment
-        // The background consists of a cylinder and a floor
+        // The background consists of a floor
         // That is literally it.
+        this.world.draw(context, program_state);
 
-        //This part adds a floor
-        let model_transform_floor = model_transform.times(Mat4.scale(40, 1,30)).times(Mat4.translation(0,-38,0));
-        this.shapes.platform.draw(context, program_state, model_transform_floor, this.materials.background_objects);
-
-
-        //This part adds the cylinder background
-        let model_transform_cylinder = model_transform.times(Mat4.translation(-21,10,-20)).times(Mat4.scale(10, 100, 10)).times(Mat4.rotation(55, 1,0,0));
-        //this.shapes.pillar.draw(context, program_state, model_transform_cylinder, this.materials.background_objects);
-        this.pillars.shape.draw(context, program_state, this.pillars.drawn_location, this.materials.background_objects);
+        // Draw the dust last, since it's see-through.  It ages along with the simulation:
+        this.shapes.dust.draw(context, program_state, Mat4.identity(), this.materials.dust.override({time: this.t}));
 
         // set up camera
         if (this.attached) {
@@ -427,67 +1629,40 @@ export class Group extends Simulation {
                 program_state.set_camera(desired);
             }
         }
+        this.draw_hud(context, program_state);
+    }
+
+    draw_hud(context, program_state) {
+        // draw_hud(): Show the score and the wave in the top left corner, over everything else.  The text
+        // hangs one unit in front of the camera, where our perspective shows a slice tan(fov / 2) tall
+        // above the middle.
+        const half_height = Math.tan(this.scene.camera.fov / 2), half_width = half_height * context.width / context.height,
+            size = .012;
+        // Clear the depth buffer first, so that nothing in the scene covers up the text:
+        context.context.clear(context.context.DEPTH_BUFFER_BIT);
+        const line_transform = program_state.camera_transform
+            .times(Mat4.translation(-half_width + 2 * size, half_height - 3 * size, -1))
+            .times(Mat4.scale(size, size, size));
+        for (let line of [...this.scoreboard.lines(), this.wave_label()]) {
+            this.shapes.hud.set_string(line, context.context);
+            this.shapes.hud.draw(context, program_state, line_transform, this.materials.hud);
+            // Move down a line:
+            line_transform.post_multiply(Mat4.translation(0, -3, 0));
+        }
     }
 }
 
-class Gouraud_Shader extends Shader {
-    // This is a Shader using Phong_Shader as template
+class Gouraud_Shader extends Phong_Shader {
+    // This is a Shader using Phong_Shader as template:  It works out the same lighting (for any number and
+    // kind of lights), but once per vertex instead of per pixel, blending the colors in between.
     // TODO: Modify the glsl coder here to create a Gouraud Shader (Planet 2)
 
-    constructor(num_lights = 2) {
-        super();
-        this.num_lights = num_lights;
-    }
-
     shared_glsl_code() {
         // ********* SHARED CODE, INCLUDED IN BOTH SHADERS *********
-        return ` 
-        precision mediump float;
-        const int N_LIGHTS = ` + this.num_lights + `;
-        uniform float ambient, diffusivity, specularity, smoothness;
-        uniform vec4 light_positions_or_vectors[N_LIGHTS], light_colors[N_LIGHTS];
-        uniform float light_attenuation_factors[N_LIGHTS];
-        uniform vec4 shape_color;
-        uniform vec3 squared_scale, camera_center;
-
-        // Specifier "varying" means a variable's final value will be passed from the vertex shader
-        // on to the next phase (fragment shader), then interpolated per-fragment, weighted by the
-        // pixel fragment's proximity to each of the 3 vertices (barycentric interpolation).
-        varying vec3 N, vertex_worldspace;
-        
+        return super.shared_glsl_code() + `
         // for gourand shader
         varying vec4 vertex_color;
-        
-        // ***** PHONG SHADING HAPPENS HERE: *****                                       
-        vec3 phong_model_lights( vec3 N, vec3 vertex_worldspace ){                                        
-            // phong_model_lights():  Add up the lights' contributions.
-            vec3 E = normalize( camera_center - vertex_worldspace );
-            vec3 result = vec3( 0.0 );
-            for(int i = 0; i < N_LIGHTS; i++){
-                // Lights store homogeneous coords - either a position or vector.  If w is 0, the 
-                // light will appear directional (uniform direction from all points), and we 
-                // simply obtain a vector towards the light by directly using the stored value.
-                // Otherwise if w is 1 it will appear as a point light -- compute the vector to 
-                // the point light's location from the current surface point.  In either case, 
-                // fade (attenuate) the light as the vector needed to reach it gets longer.  
-                vec3 surface_to_light_vector = light_positions_or_vectors[i].xyz - 
-                                               light_positions_or_vectors[i].w * vertex_worldspace;                                             
-                float distance_to_light = length( surface_to_light_vector );
-
-                vec3 L = normalize( surface_to_light_vector );
-                vec3 H = normalize( L + E );
-                // Compute the diffuse and specular components from the Phong
-                // Reflection Model, using Blinn's "halfway vector" method:
-                float diffuse  =      max( dot( N, L ), 0.0 );
-                float specular = pow( max( dot( N, H ), 0.0 ), smoothness );
-                float attenuation = 1.0 / (1.0 + light_attenuation_factors[i] * distance_to_light * distance_to_light );
-                
-                vec3 light_contribution = shape_color.xyz * light_colors[i].xyz * diffusivity * diffuse
-                                                          + light_colors[i].xyz * specularity * specular;
-                result += attenuation * light_contribution;
-            }
-            return result;
-        } `;
+        `;
     }
 
     vertex_glsl_code() {
@@ -527,64 +1702,6 @@ class Gouraud_Shader extends Shader {
                 gl_FragColor = vertex_color;
             } `;
     }
-
-    send_material(gl, gpu, material) {
-        // send_material(): Send the desired shape-wide material qualities to the
-        // graphics card, where they will tweak the Phong lighting formula.
-        gl.uniform4fv(gpu.shape_color, material.color);
-        gl.uniform1f(gpu.ambient, material.ambient);
-        gl.uniform1f(gpu.diffusivity, material.diffusivity);
-        gl.uniform1f(gpu.specularity, material.specularity);
-        gl.uniform1f(gpu.smoothness, material.smoothness);
-    }
-
-    send_gpu_state(gl, gpu, gpu_state, model_transform) {
-        // send_gpu_state():  Send the state of our whole drawing context to the GPU.
-        const O = vec4(0, 0, 0, 1), camera_center = gpu_state.camera_transform.times(O).to3();
-        gl.uniform3fv(gpu.camera_center, camera_center);
-        // Use the squared scale trick from "Eric's blog" instead of inverse transpose matrix:
-        const squared_scale = model_transform.reduce(
-            (acc, r) => {
-                return acc.plus(vec4(...r).times_pairwise(r))
-            }, vec4(0, 0, 0, 0)).to3();
-        gl.uniform3fv(gpu.squared_scale, squared_scale);
-        // Send the current matrices to the shader.  Go ahead and pre-compute
-        // the products we'll need of the of the three special matrices and just
-        // cache and send those.  They will be the same throughout this draw
-        // call, and thus across each instance of the vertex shader.
-        // Transpose them since the GPU expects matrices as column-major arrays.
-        const PCM = gpu_state.projection_transform.times(gpu_state.camera_inverse).times(model_transform);
-        gl.uniformMatrix4fv(gpu.model_transform, false, Matrix.flatten_2D_to_1D(model_transform.transposed()));
-        gl.uniformMatrix4fv(gpu.projection_camera_model_transform, false, Matrix.flatten_2D_to_1D(PCM.transposed()));
-
-        // Omitting lights will show only the material color, scaled by the ambient term:
-        if (!gpu_state.lights.length)
-            return;
-
-        const light_positions_flattened = [], light_colors_flattened = [];
-        for (let i = 0; i < 4 * gpu_state.lights.length; i++) {
-            light_positions_flattened.push(gpu_state.lights[Math.floor(i / 4)].position[i % 4]);
-            light_colors_flattened.push(gpu_state.lights[Math.floor(i / 4)].color[i % 4]);
-        }
-        gl.uniform4fv(gpu.light_positions_or_vectors, light_positions_flattened);
-        gl.uniform4fv(gpu.light_colors, light_colors_flattened);
-        gl.uniform1fv(gpu.light_attenuation_factors, gpu_state.lights.map(l => l.attenuation));
-    }
-
-    update_GPU(context, gpu_addresses, gpu_state, model_transform, material) {
-        // update_GPU(): Define how to synchronize our JavaScript's variables to the GPU's.  This is where the shader
-        // recieves ALL of its inputs.  Every value the GPU wants is divided into two categories:  Values that belong
-        // to individual objects being drawn (which we call "Material") and values belonging to the whole scene or
-        // program (which we call the "Program_State").  Send both a material and a program state to the shaders
-        // within this function, one data field at a time, to fully initialize the shader for a draw.
-
-        // Fill in any missing fields in the Material object with custom defaults for this shader:
-        const defaults = {color: color(0, 0, 0, 1), ambient: 0, diffusivity: 1, specularity: 1, smoothness: 40};
-        material = Object.assign({}, defaults, material);
-
-        this.send_material(context, gpu_addresses, material);
-        this.send_gpu_state(context, gpu_addresses, gpu_state, model_transform);
-    }
 }
 
 class Ring_Shader extends Shader {
@@ -636,3 +1753,5 @@ class Ring_Shader extends Shader {
     }
 }
 
+// Scene descriptions can use this file's shaders too:
+Object.assign(Scene_Description.classes, {Gouraud_Shader, Ring_Shader});
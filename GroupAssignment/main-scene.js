@@ -10,6 +10,7 @@ import {Transforms_Sandbox} from "./examples/transforms-sandbox.js"
 import {Group} from "./group.js";
 import {Shadow_Demo} from "./examples/shadow-demo.js";
 import {Mouse_Demo} from "./examples/mouse-demo.js";
+import {Described_Scene} from "./examples/scene-description.js";
 
 // Pull these names into this module's scope for convenience:
 const {
@@ -39,6 +40,7 @@ Object.assign(defs,
     {Group},
     {Shadow_Demo},
     {Mouse_Demo},
+    {Described_Scene},
 );
 
 // ******************** End extra step
@@ -32,7 +32,9 @@
  * mult-pairs: "vec3( 1,2,3 ).mult_pairs( vec3( 3,2,0 ) )" returns the Vector [ 3,4,0 ].
  *      scale: "vec3( 1,2,3 ).scale( 2 )" overwrites the Vector with [ 2,4,6 ].
  *      times: "vec3( 1,2,3 ).times( 2 )" returns the Vector [ 2,4,6 ].
- * randomized: Returns this Vector plus a random vector of a given maximum length.
+ * randomized: Returns this Vector plus a random vector of a given maximum length.  Optionally pass a
+ *             function returning numbers in [0,1) to draw from instead of Math.random, such as
+ *             a seeded Random's next().
  *        mix: "vec3( 0,2,4 ).mix( vec3( 10,10,10 ), .5 )" returns the Vector [ 5,6,7 ].
  *       norm: "vec3( 1,2,3 ).norm()" returns the square root of 15.
  * normalized: "vec3( 4,4,4 ).normalized()" returns the Vector [ sqrt(3), sqrt(3), sqrt(3) ]
@@ -100,8 +102,8 @@ const Vector = tiny.Vector =
             return this.map(x => s * x)
         }
 
-        randomized(s) {
-            return this.map(x => x + s * (Math.random() - .5))
+        randomized(s, random = Math.random) {
+            return this.map(x => x + s * (random() - .5))
         }
 
         mix(b, s) {
@@ -231,10 +233,10 @@ const Vector3 = tiny.Vector3 =
         }
 
         // Other operations:
-        randomized(s) {
-            return vec3(this[0] + s * (Math.random() - .5),
-                this[1] + s * (Math.random() - .5),
-                this[2] + s * (Math.random() - .5));
+        randomized(s, random = Math.random) {
+            return vec3(this[0] + s * (random() - .5),
+                this[1] + s * (random() - .5),
+                this[2] + s * (random() - .5));
         }
 
         mix(b, s) {
@@ -360,11 +362,11 @@ const Vector4 = tiny.Vector4 =
         }
 
         // Other operations:
-        randomized(s) {
-            return vec4(this[0] + s * (Math.random() - .5),
-                this[1] + s * (Math.random() - .5),
-                this[2] + s * (Math.random() - .5),
-                this[3] + s * (Math.random() - .5));
+        randomized(s, random = Math.random) {
+            return vec4(this[0] + s * (random() - .5),
+                this[1] + s * (random() - .5),
+                this[2] + s * (random() - .5),
+                this[3] + s * (random() - .5));
         }
 
         mix(b, s) {
@@ -617,9 +619,9 @@ const Mat4 = tiny.Mat4 =
 
         static orthographic(left, right, bottom, top, near, far) {
             // orthographic(): Box-shaped view volume for projection.
-            return Mat4.scale(vec3(1 / (right - left), 1 / (top - bottom), 1 / (far - near)))
-                .times(Mat4.translation(vec3(-left - right, -top - bottom, -near - far)))
-                .times(Mat4.scale(vec3(2, 2, -2)));
+            return Mat4.scale(1 / (right - left), 1 / (top - bottom), 1 / (far - near))
+                .times(Mat4.translation(-left - right, -top - bottom, -near - far))
+                .times(Mat4.scale(2, 2, -2));
         }
 
         static perspective(fov_y, aspect, near, far) {
@@ -660,6 +662,194 @@ const Mat4 = tiny.Mat4 =
     }
 
 
+const Quaternion = tiny.Quaternion =
+    class Quaternion extends Float32Array {
+        // **Quaternion** stores a rotation compactly as four floats [w, x, y, z], where w is the
+        // scalar part and (x, y, z) the vector part.  Unlike blending the rows of two rotation
+        // matrices, interpolating two unit quaternions always yields another pure rotation, so
+        // they are the right tool for smoothly tweening orientations.
+        // Example usage:
+        //  "Quaternion.from_axis_angle( angle, x,y,z )" uses the same arguments as Mat4.rotation().
+        //  "Quaternion.from_matrix( M )" extracts the rotation held in the upper 3x3 block of a Mat4.
+        //  "q.times( r )" composes two rotations; like matrices, r is applied first and q second.
+        //  "q.slerp( r, s )" / "q.nlerp( r, s )" blend from q (s = 0) towards r (s = 1).
+        //  "q.to_mat4()" converts back to a Mat4 for drawing.
+        static create(w, x, y, z) {
+            const q = new Quaternion(4);
+            q[0] = w;
+            q[1] = x;
+            q[2] = y;
+            q[3] = z;
+            return q;
+        }
+
+        static identity() {
+            return Quaternion.create(1, 0, 0, 0);
+        }
+
+        static from_axis_angle(angle, x, y, z) {
+            // from_axis_angle(): Requires a scalar (angle) and a three-component axis vector.
+            // A zero axis or angle yields the identity instead of NaNs.
+            const n = Math.sqrt(x * x + y * y + z * z);
+            if (!n || !angle)
+                return Quaternion.identity();
+            const s = Math.sin(angle / 2) / n;
+            return Quaternion.create(Math.cos(angle / 2), x * s, y * s, z * s);
+        }
+
+        static from_matrix(m) {
+            // from_matrix(): Convert the rotation part of a Mat4 to a unit quaternion.  Each basis
+            // column is normalized first so that a uniform scale mixed into m doesn't matter.
+            const c = [0, 1, 2].map(j => {
+                const n = Math.sqrt(m[0][j] * m[0][j] + m[1][j] * m[1][j] + m[2][j] * m[2][j]) || 1;
+                return [m[0][j] / n, m[1][j] / n, m[2][j] / n];
+            });
+            // r(i, j) reads row i, column j of the normalized 3x3 block:
+            const r = (i, j) => c[j][i], trace = r(0, 0) + r(1, 1) + r(2, 2);
+            // Branch on the largest diagonal term to stay numerically stable (Shoemake's method):
+            let q;
+            if (trace > 0) {
+                const s = 2 * Math.sqrt(trace + 1);
+                q = Quaternion.create(s / 4, (r(2, 1) - r(1, 2)) / s, (r(0, 2) - r(2, 0)) / s, (r(1, 0) - r(0, 1)) / s);
+            } else if (r(0, 0) > r(1, 1) && r(0, 0) > r(2, 2)) {
+                const s = 2 * Math.sqrt(1 + r(0, 0) - r(1, 1) - r(2, 2));
+                q = Quaternion.create((r(2, 1) - r(1, 2)) / s, s / 4, (r(0, 1) + r(1, 0)) / s, (r(0, 2) + r(2, 0)) / s);
+            } else if (r(1, 1) > r(2, 2)) {
+                const s = 2 * Math.sqrt(1 + r(1, 1) - r(0, 0) - r(2, 2));
+                q = Quaternion.create((r(0, 2) - r(2, 0)) / s, (r(0, 1) + r(1, 0)) / s, s / 4, (r(1, 2) + r(2, 1)) / s);
+            } else {
+                const s = 2 * Math.sqrt(1 + r(2, 2) - r(0, 0) - r(1, 1));
+                q = Quaternion.create((r(1, 0) - r(0, 1)) / s, (r(0, 2) + r(2, 0)) / s, (r(1, 2) + r(2, 1)) / s, s / 4);
+            }
+            return q.normalized();
+        }
+
+        copy() {
+            return Quaternion.from(this)
+        }
+
+        equals(b) {
+            return this[0] == b[0] && this[1] == b[1] && this[2] == b[2] && this[3] == b[3]
+        }
+
+        times(b) {
+            // times(): The Hamilton product, which composes two rotations (b happens first).
+            const [w1, x1, y1, z1] = this, [w2, x2, y2, z2] = b;
+            return Quaternion.create(w1 * w2 - x1 * x2 - y1 * y2 - z1 * z2,
+                w1 * x2 + x1 * w2 + y1 * z2 - z1 * y2,
+                w1 * y2 - x1 * z2 + y1 * w2 + z1 * x2,
+                w1 * z2 + x1 * y2 - y1 * x2 + z1 * w2);
+        }
+
+        conjugate() {
+            // conjugate(): For unit quaternions, this is the inverse rotation.
+            return Quaternion.create(this[0], -this[1], -this[2], -this[3])
+        }
+
+        dot(b) {
+            return this[0] * b[0] + this[1] * b[1] + this[2] * b[2] + this[3] * b[3]
+        }
+
+        norm() {
+            return Math.sqrt(this.dot(this))
+        }
+
+        normalized() {
+            const d = 1 / this.norm();
+            return Quaternion.create(this[0] * d, this[1] * d, this[2] * d, this[3] * d);
+        }
+
+        normalize() {
+            const d = 1 / this.norm();
+            this[0] *= d;
+            this[1] *= d;
+            this[2] *= d;
+            this[3] *= d;
+        }
+
+        nlerp(b, s) {
+            // nlerp(): Normalized linear blend.  Cheap, and fine for the small angles between two
+            // consecutive simulation steps, but its angular speed isn't constant over large arcs.
+            // q and -q are the same rotation; flip b if needed so we take the shorter path.
+            const sign = this.dot(b) < 0 ? -1 : 1;
+            return Quaternion.create((1 - s) * this[0] + s * sign * b[0], (1 - s) * this[1] + s * sign * b[1],
+                (1 - s) * this[2] + s * sign * b[2], (1 - s) * this[3] + s * sign * b[3]).normalized();
+        }
+
+        slerp(b, s) {
+            // slerp(): Spherical linear blend, which turns at a constant angular speed.
+            let cos_theta = this.dot(b), sign = 1;
+            if (cos_theta < 0) {
+                cos_theta = -cos_theta;
+                sign = -1;
+            }
+            // Nearly identical rotations would divide by ~0 below; nlerp is just as accurate there.
+            if (cos_theta > .9995)
+                return this.nlerp(b, s);
+            const theta = Math.acos(cos_theta), sin_theta = Math.sin(theta),
+                k0 = Math.sin((1 - s) * theta) / sin_theta, k1 = sign * Math.sin(s * theta) / sin_theta;
+            return Quaternion.create(k0 * this[0] + k1 * b[0], k0 * this[1] + k1 * b[1],
+                k0 * this[2] + k1 * b[2], k0 * this[3] + k1 * b[3]);
+        }
+
+        rotate(v) {
+            // rotate(): Apply this rotation to a 3D vector, returning a new vec3.
+            const [w, x, y, z] = this, u = vec3(x, y, z), t = u.cross(v).times(2);
+            return v.plus(t.times(w)).plus(u.cross(t));
+        }
+
+        to_axis_angle() {
+            // to_axis_angle(): Returns {angle, axis}, the inverse of from_axis_angle().
+            const q = this[0] < 0 ? this.map(x => -x) : this, s = Math.sqrt(Math.max(0, 1 - q[0] * q[0]));
+            const angle = 2 * Math.acos(Math.min(1, q[0]));
+            return {angle, axis: s < 1E-6 ? vec3(1, 0, 0) : vec3(q[1] / s, q[2] / s, q[3] / s)};
+        }
+
+        to_mat4() {
+            // to_mat4(): Build the equivalent rotation matrix (assumes a unit quaternion).
+            const [w, x, y, z] = this;
+            return Matrix.of([1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y), 0],
+                [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x), 0],
+                [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y), 0],
+                [0, 0, 0, 1]);
+        }
+
+        to_string() {
+            return "[quaternion " + this.join(", ") + "]"
+        }
+    }
+
+const quat = tiny.quat = Quaternion.create;
+
+
+const Random = tiny.Random =
+    class Random {
+        // **Random** is a seedable pseudo-random number generator (the small "mulberry32" algorithm).
+        // Unlike Math.random(), two generators given the same seed produce exactly the same sequence,
+        // which lets a simulation that draws all of its randomness from one be re-run identically.
+        // Example usage:
+        //  "const random = new Random( 42 ).next;  vec3( 0,0,0 ).randomized( 1, random )"
+        constructor(seed = 1) {
+            this.seed(seed);
+            // Bind next() so it can be handed around by itself, in place of Math.random:
+            this.next = this.next.bind(this);
+        }
+
+        seed(seed) {
+            // seed(): Restart the sequence.  The same seed always yields the same sequence.
+            this.state = seed >>> 0;
+        }
+
+        next() {
+            // next(): Return the next number of the sequence, evenly spread over [0,1).
+            let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+    }
+
+
 const Keyboard_Manager = tiny.Keyboard_Manager =
     class Keyboard_Manager {
         // **Keyboard_Manager** maintains a running list of which keys are depressed.  You can map combinations of
@@ -967,8 +1157,63 @@ const Light = tiny.Light =
         // vector (directional) light, and w=1 for a point light / spotlight.
         // For spotlights, a light also needs a "size" factor for how quickly the brightness
         // should attenuate (reduce) as distance from the spotlight increases.
-        constructor(position, color, size) {
-            Object.assign(this, {position, color, attenuation: 1 / size});
+
+        // The options make other kinds of lights:  A "range" past which a point light stops reaching
+        // at all (fading out smoothly on the way), and a "direction" for a spotlight to shine in,
+        // with an "inner_angle" and "outer_angle" (radians away from the direction) that its light
+        // fades out between -- faster for a higher "falloff" exponent.  See directional() and spot().
+        constructor(position, color, size, options = {}) {
+            const {direction, inner_angle = Math.PI, outer_angle = inner_angle, falloff = 1, range = Infinity} = options;
+            Object.assign(this, {
+                position, color, attenuation: 1 / size,
+                direction: direction && vec3(...direction).normalized(), inner_angle, outer_angle, falloff, range
+            });
+        }
+
+        static directional(direction, color) {
+            // directional(): A light shining in one direction everywhere, like the sun, without fading.
+            direction = vec3(...direction).normalized();
+            return new Light(direction.times(-1).to4(0), color, Infinity, {direction});
+        }
+
+        static spot(position, direction, color, size, inner_angle, outer_angle = inner_angle, options = {}) {
+            // spot(): A light at a point that only shines within a cone around its direction.
+            return new Light(position, color, size, Object.assign({}, options, {direction, inner_angle, outer_angle}));
+        }
+
+        is_spot() {
+            // is_spot(): Whether this light only shines within a cone.
+            return !!this.direction && this.position[3] != 0 && this.outer_angle < Math.PI;
+        }
+
+        kind() {
+            // kind(): "directional", "spot" or "point".
+            return !this.position[3] ? "directional" : this.is_spot() ? "spot" : "point";
+        }
+
+        reach(point) {
+            // reach(): The fraction of this light that reaches a point (a vec3), between 0 and 1.
+            // Matches what the Phong shaders work out per pixel (see Phong_Shader's light_attenuation()).
+            if (!this.position[3])
+                return 1 / (1 + this.attenuation * this.position.to3().norm() ** 2);
+            const to_point = point.minus(this.position.to3()), distance = to_point.norm();
+            let reach = 1 / (1 + this.attenuation * distance ** 2);
+            if (this.range < Infinity)
+                reach *= Math.max(0, 1 - (distance / this.range) ** 4) ** 2;
+            if (this.is_spot()) {
+                const [cos_inner, cos_outer] = this.cone_cosines(),
+                    cos = distance ? to_point.dot(this.direction) / distance : 1,
+                    t = Math.min(Math.max((cos - cos_outer) / (cos_inner - cos_outer), 0), 1);
+                reach *= (t * t * (3 - 2 * t)) ** this.falloff;
+            }
+            return reach;
+        }
+
+        cone_cosines() {
+            // cone_cosines(): The cosines of the inner and outer angles, kept a little apart so that the
+            // light still fades between them when they're equal.
+            const cos_inner = Math.cos(Math.min(this.inner_angle, this.outer_angle));
+            return [cos_inner, Math.min(Math.cos(this.outer_angle), cos_inner - .0001)];
         }
     }
 
@@ -1361,6 +1606,137 @@ const Webgl_Manager = tiny.Webgl_Manager =
     }
 
 
+const Scene_Node = tiny.Scene_Node =
+    class Scene_Node {
+        // **Scene_Node** places things in the world relative to other things.  Each node has a local
+        // transform -- a translation, a rotation (a Quaternion) and a scale, applied in the order
+        // scale, rotate, translate -- that says where it sits within its parent, so moving a node moves
+        // all of its descendants along with it.  A node can carry a Shape to draw with a Material, and/or
+        // a Light, which shines from the node's origin (or along its direction, for a directional Light),
+        // with a spotlight's cone turning along with the node.
+        // World matrices get cached, and only worked out again after the node or one of its ancestors
+        // has moved.
+        // Example usage:
+        //  "const arm = root.add( new Scene_Node( "arm", {shape, material, translation: vec3( 0,2,0 )} ) );"
+        //  "arm.set_rotation( Quaternion.from_axis_angle( t, 0,0,1 ) );  root.draw( context, program_state );"
+        constructor(name, {translation = vec3(0, 0, 0), rotation = Quaternion.identity(), scale = vec3(1, 1, 1),
+            shape, material, light, visible = true} = {}) {
+            Object.assign(this, {name, translation, rotation, scale, shape, material, light, visible});
+            Object.assign(this, {parent: null, children: [], matrix: null, cached_world: null});
+        }
+
+        add(child) {
+            // add(): Make a node a child of this one (taking it away from any parent it had), and return it.
+            if (child.parent)
+                child.parent.remove(child);
+            this.children.push(child);
+            child.parent = this;
+            child.mark_dirty();
+            return child;
+        }
+
+        remove(child) {
+            // remove(): Detach a child node, which then sits on its own at the root of its own tree.
+            this.children = this.children.filter(c => c !== child);
+            child.parent = null;
+            child.mark_dirty();
+        }
+
+        set_translation(translation) {
+            this.translation = translation;
+            this.mark_dirty();
+        }
+
+        set_rotation(rotation) {
+            this.rotation = rotation;
+            this.mark_dirty();
+        }
+
+        set_scale(scale) {
+            this.scale = scale;
+            this.mark_dirty();
+        }
+
+        set_matrix(matrix) {
+            // set_matrix(): Use a whole Mat4 as the local transform, in place of translation, rotation and
+            // scale -- for nodes that follow something positioned some other way, like a simulated body.
+            // Pass null to go back to translation, rotation and scale.
+            this.matrix = matrix;
+            this.mark_dirty();
+        }
+
+        mark_dirty() {
+            // mark_dirty(): Forget the cached world matrices of this node and everything under it.  A node's
+            // world matrix only gets cached after its parent's, so under a node with none cached, none are.
+            if (!this.cached_world)
+                return;
+            this.cached_world = null;
+            for (let c of this.children)
+                c.mark_dirty();
+        }
+
+        local_transform() {
+            // local_transform(): Where this node sits within its parent, as a Mat4.
+            if (this.matrix)
+                return this.matrix;
+            const [x, y, z] = this.translation, [sx, sy, sz] = this.scale;
+            return Mat4.translation(x, y, z).times(this.rotation.to_mat4()).times(Mat4.scale(sx, sy, sz));
+        }
+
+        world_transform() {
+            // world_transform(): Where this node sits in the world, as a Mat4.  Don't modify the result.
+            if (!this.cached_world)
+                this.cached_world = this.parent ? this.parent.world_transform().times(this.local_transform())
+                    : this.local_transform();
+            return this.cached_world;
+        }
+
+        traverse(callback) {
+            // traverse(): Call callback on this node and then on every node under it, parents before
+            // children.  Nodes that aren't visible get skipped, along with everything under them.
+            if (!this.visible)
+                return;
+            callback(this);
+            for (let c of this.children)
+                c.traverse(callback);
+        }
+
+        find(name) {
+            // find(): The first node named "name" at or under this one, or undefined.
+            if (this.name === name)
+                return this;
+            for (let c of this.children) {
+                const found = c.find(name);
+                if (found)
+                    return found;
+            }
+        }
+
+        lights() {
+            // lights(): Every Light carried at or under this node, moved into world space.
+            const lights = [];
+            this.traverse(node => {
+                if (!node.light)
+                    return;
+                const world = node.world_transform(), {position, direction} = node.light;
+                lights.push(Object.assign(Object.create(Object.getPrototypeOf(node.light)), node.light, {
+                    position: world.times(position),
+                    direction: direction && world.times(direction.to4(0)).to3().normalized()
+                }));
+            });
+            return lights;
+        }
+
+        draw(context, program_state) {
+            // draw(): Draw every Shape carried at or under this node, each where its node sits in the world.
+            this.traverse(node => {
+                if (node.shape && node.material)
+                    node.shape.draw(context, program_state, node.world_transform(), node.material);
+            });
+        }
+    }
+
+
 const Scene = tiny.Scene =
     class Scene {
         // **Scene** is the base class for any scene part or code snippet that you can add to a